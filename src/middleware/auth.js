@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// Higher roles include every permission of the lower ones
+const ROLE_LEVELS = {
+    readonly: 1,
+    operator: 2,
+    admin: 3
+};
+
+const failedAttempts = new Map(); // ip -> { count, firstAt }, oldest first
+
+// Cap on tracked IPs, so rotating or spoofed addresses cannot grow the map without limit
+const MAX_TRACKED_IPS = 10000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest();
+}
+
+/**
+ * Returns true unless authentication was switched off with AUTH_DISABLED
+ * (config validation refuses to start without API keys otherwise).
+ * @returns {boolean}
+ */
+function isAuthEnabled() {
+    return !config.auth.disabled;
+}
+
+/**
+ * Extracts the API key from `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * @param {import('express').Request} req
+ * @returns {string|null}
+ */
+function getRequestKey(req) {
+    const authorization = req.get('Authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim() || null;
+    }
+    return req.get('X-API-Key') || null;
+}
+
+/**
+ * Finds the role (and key label) for an API key. Keys are compared as hashes in constant time.
+ * @param {string} key
+ * @returns {{role: string, keyId: string}|null}
+ */
+function identifyKey(key) {
+    const candidate = hashKey(key);
+    let match = null;
+
+    // Check every key (no early exit) so timing does not reveal which role matched
+    for (const [role, keys] of Object.entries(config.auth.keys)) {
+        keys.forEach((configuredKey, index) => {
+            if (crypto.timingSafeEqual(candidate, hashKey(configuredKey)) && !match) {
+                match = { role, keyId: `${role}#${index + 1}` };
+            }
+        });
+    }
+
+    return match;
+}
+
+/**
+ * Returns true when the IP has exceeded the allowed failed attempts in the current window.
+ */
+function isRateLimited(ip) {
+    const entry = failedAttempts.get(ip);
+    if (!entry) return false;
+    if (Date.now() - entry.firstAt > config.auth.failedAttemptWindowMs) {
+        failedAttempts.delete(ip);
+        return false;
+    }
+    return entry.count >= config.auth.maxFailedAttempts;
+}
+
+/**
+ * Drops failed-attempt entries whose window has passed.
+ */
+function sweepFailedAttempts() {
+    const now = Date.now();
+    for (const [ip, entry] of failedAttempts) {
+        if (now - entry.firstAt > config.auth.failedAttemptWindowMs) {
+            failedAttempts.delete(ip);
+        }
+    }
+}
+
+setInterval(sweepFailedAttempts, SWEEP_INTERVAL_MS).unref();
+
+function recordFailure(ip) {
+    const now = Date.now();
+    const entry = failedAttempts.get(ip);
+    if (entry && now - entry.firstAt <= config.auth.failedAttemptWindowMs) {
+        entry.count += 1;
+        return;
+    }
+
+    // New window: re-insert so the map stays ordered oldest first, evicting the oldest entry when full
+    failedAttempts.delete(ip);
+    if (failedAttempts.size >= MAX_TRACKED_IPS) {
+        sweepFailedAttempts();
+        if (failedAttempts.size >= MAX_TRACKED_IPS) {
+            failedAttempts.delete(failedAttempts.keys().next().value);
+        }
+    }
+    failedAttempts.set(ip, { count: 1, firstAt: now });
+}
+
+/**
+ * Checks the request's API key against a minimum role without sending a response.
+ * @param {import('express').Request} req
+ * @param {'readonly'|'operator'|'admin'} role - Minimum role required
+ * @returns {{ok: true, auth: {role: string, keyId: string}}|{ok: false, status: number, reason: string}}
+ */
+function checkRole(req, role) {
+    const key = getRequestKey(req);
+    const identity = key ? identifyKey(key) : null;
+
+    // A valid key always works, even from a limited IP (e.g. a proxy shared with a misbehaving client).
+    // Its success doesn't reset the IP's failures, so it can't be used to unblock someone else's guessing.
+    if (identity && ROLE_LEVELS[identity.role] >= ROLE_LEVELS[role]) {
+        return { ok: true, auth: identity };
+    }
+
+    if (isRateLimited(req.ip)) {
+        return { ok: false, status: 429, reason: 'too many failed attempts' };
+    }
+
+    recordFailure(req.ip);
+    if (!key) {
+        return { ok: false, status: 401, reason: 'missing API key' };
+    }
+    if (!identity) {
+        return { ok: false, status: 401, reason: 'unknown API key' };
+    }
+    return { ok: false, status: 403, reason: `${identity.keyId} lacks ${role} role` };
+}
+
+/**
+ * Express middleware factory requiring an API key with at least the given role.
+ * With AUTH_DISABLED=true every request is let through (a warning is logged at startup).
+ * @param {'readonly'|'operator'|'admin'} role - Minimum role required
+ * @returns {import('express').RequestHandler}
+ */
+function requireRole(role) {
+    if (!ROLE_LEVELS[role]) {
+        throw new Error(`Unknown role: ${role}`);
+    }
+
+    return (req, res, next) => {
+        if (!isAuthEnabled()) {
+            return next();
+        }
+
+        const result = checkRole(req, role);
+        if (result.ok) {
+            req.auth = result.auth;
+            return next();
+        }
+
+        logger.warn(`Auth failed for ${req.method} ${req.originalUrl}: ${result.reason} (ip: ${req.ip})`);
+        const errors = {
+            401: 'Authentication required',
+            403: 'Insufficient permissions',
+            429: 'Too many failed authentication attempts, try again later'
+        };
+        return res.status(result.status).json({ success: false, error: errors[result.status] });
+    };
+}
+
+module.exports = {
+    ROLE_LEVELS,
+    isAuthEnabled,
+    checkRole,
+    requireRole
+};
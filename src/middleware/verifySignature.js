@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Computes the expected HMAC-SHA256 signature for a webhook request.
+ * The signed payload is `<timestamp>.<raw body>` so a timestamp cannot be swapped onto another body.
+ * @param {string} secret - Shared webhook secret
+ * @param {string} timestamp - Timestamp header value (unix seconds)
+ * @param {Buffer} rawBody - Raw request body as received
+ * @returns {string} Hex encoded signature
+ */
+function computeSignature(secret, timestamp, rawBody) {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.`)
+        .update(rawBody)
+        .digest('hex');
+}
+
+/**
+ * Compares two hex signatures in constant time.
+ * @param {string} expected
+ * @param {string} received
+ * @returns {boolean}
+ */
+function signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+    if (expectedBuffer.length === 0 || expectedBuffer.length !== receivedBuffer.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Rejects a request with 401 and logs why.
+ */
+function reject(req, res, reason) {
+    logger.warn(`Webhook signature rejected: ${reason} (ip: ${req.ip})`);
+    return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+}
+
+/**
+ * Express middleware verifying the Printbox webhook HMAC signature and timestamp.
+ * Requires the raw body to be captured by express.json (see `req.rawBody` in server.js).
+ * Verification is skipped when no webhook secret is configured.
+ */
+function verifyPrintboxSignature(req, res, next) {
+    const { webhookSecret, signatureHeader, timestampHeader, signatureToleranceSeconds } = config.printbox;
+
+    if (!webhookSecret) {
+        return next();
+    }
+
+    const receivedSignature = req.get(signatureHeader);
+    const timestamp = req.get(timestampHeader);
+
+    if (!receivedSignature) {
+        return reject(req, res, `missing ${signatureHeader} header`);
+    }
+
+    if (!timestamp || !/^\d+$/.test(timestamp)) {
+        return reject(req, res, `missing or malformed ${timestampHeader} header`);
+    }
+
+    const ageSeconds = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+    if (ageSeconds > signatureToleranceSeconds) {
+        return reject(req, res, `stale timestamp (${ageSeconds}s old, tolerance ${signatureToleranceSeconds}s)`);
+    }
+
+    if (!Buffer.isBuffer(req.rawBody)) {
+        return reject(req, res, 'raw body not available');
+    }
+
+    // Accept both "sha256=<hex>" and bare "<hex>" header formats
+    const signature = receivedSignature.replace(/^sha256=/i, '').trim();
+    if (!/^[0-9a-f]+$/i.test(signature)) {
+        return reject(req, res, 'malformed signature');
+    }
+
+    const expected = computeSignature(webhookSecret, timestamp, req.rawBody);
+    if (!signaturesMatch(expected, signature.toLowerCase())) {
+        return reject(req, res, 'signature mismatch');
+    }
+
+    next();
+}
+
+/**
+ * Express middleware verifying Meta's X-Hub-Signature-256 header on WhatsApp webhooks:
+ * `sha256=<hex HMAC-SHA256 of the raw body, keyed with the app secret>`.
+ * Verification is skipped when no app secret is configured.
+ */
+function verifyMetaSignature(req, res, next) {
+    const { appSecret } = config.whatsapp;
+
+    if (!appSecret) {
+        return next();
+    }
+
+    const receivedSignature = req.get('X-Hub-Signature-256');
+    if (!receivedSignature) {
+        return reject(req, res, 'missing X-Hub-Signature-256 header');
+    }
+
+    if (!Buffer.isBuffer(req.rawBody)) {
+        return reject(req, res, 'raw body not available');
+    }
+
+    const signature = receivedSignature.replace(/^sha256=/i, '').trim();
+    if (!/^[0-9a-f]+$/i.test(signature)) {
+        return reject(req, res, 'malformed signature');
+    }
+
+    const expected = crypto.createHmac('sha256', appSecret).update(req.rawBody).digest('hex');
+    if (!signaturesMatch(expected, signature.toLowerCase())) {
+        return reject(req, res, 'signature mismatch');
+    }
+
+    next();
+}
+
+module.exports = {
+    computeSignature,
+    signaturesMatch,
+    verifyPrintboxSignature,
+    verifyMetaSignature
+};
@@ -4,13 +4,47 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const downloadLinkService = require('../services/downloadLinkService');
+const { isAuthEnabled, requireRole } = require('../middleware/auth');
+
+const requireReadonly = requireRole('readonly');
+
+/**
+ * Allows a download with either a valid signed link (`?expires=...&signature=...`)
+ * or a read-only API key. Tampered links get 403, expired links 410.
+ */
+function requireDownloadAccess(req, res, next) {
+    const { expires, signature } = req.query;
+
+    if (expires || signature) {
+        const check = downloadLinkService.verifyDownloadLink(req.params.filename, expires, signature);
+        if (check.valid) {
+            return next();
+        }
+        logger.warn(`Rejected download link for ${req.params.filename}: ${check.reason} (ip: ${req.ip})`);
+        if (check.reason === 'expired') {
+            return res.status(410).json({ error: 'Download link has expired' });
+        }
+        return res.status(403).json({ error: 'Invalid download link' });
+    }
+
+    if (isAuthEnabled()) {
+        return requireReadonly(req, res, next);
+    }
+
+    // Without API keys there is nothing else to accept: unsigned downloads are never served
+    logger.warn(`Rejected unsigned download of ${req.params.filename} (ip: ${req.ip})`);
+    return res.status(403).json({ error: 'Invalid download link' });
+}
 
 /**
  * GET /download/:filename
- * Serves PDF files for download
+ * Serves PDF files for download (HEAD, Range and conditional requests supported)
+ * Query: ?download=1 to send as attachment instead of inline
+ * Requires a signed link or a read-only API key (see requireDownloadAccess)
  * Files are automatically cleaned up after 10 days
  */
-router.get('/:filename', async (req, res) => {
+router.get('/:filename', requireDownloadAccess, async (req, res) => {
     try {
         const filename = req.params.filename;
         
@@ -39,16 +73,40 @@ router.get('/:filename', async (req, res) => {
             return res.status(410).json({ error: 'File has expired' });
         }
 
-        // Set headers for PDF viewing (inline instead of attachment)
-        res.setHeader('Content-Type', 'application/pdf');
-        res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
-        res.setHeader('Cache-Control', 'no-cache');
-
-        // Stream file
-        const fileStream = require('fs').createReadStream(filePath);
-        fileStream.pipe(res);
+        // Inline viewing by default, ?download=1 forces a save dialog
+        const disposition = req.query.download === '1' ? 'attachment' : 'inline';
 
-        logger.info(`Served download: ${filename}`);
+        // send (via res.sendFile) handles HEAD, Range / 206 partial responses and
+        // ETag / Last-Modified conditional requests with 304
+        res.sendFile(path.resolve(filePath), {
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `${disposition}; filename="${filename}"`,
+                // Always revalidate, but allow a 304 when the file hasn't changed
+                'Cache-Control': 'private, no-cache'
+            },
+            cacheControl: false,
+            acceptRanges: true,
+            etag: true,
+            lastModified: true
+        }, (error) => {
+            if (!error) {
+                logger.info(`Served download: ${filename} (${res.statusCode}${req.headers.range ? `, range ${req.headers.range}` : ''})`);
+                return;
+            }
+            // Client closed the connection mid-download (e.g. mobile data dropped); it can resume with Range
+            if (error.code === 'ECONNABORTED' || error.code === 'ECONNRESET' || res.headersSent) {
+                logger.info(`Download of ${filename} interrupted: ${error.message}`);
+                return;
+            }
+            if (error.status === 416) {
+                logger.warn(`Unsatisfiable range for ${filename}: ${req.headers.range}`);
+            } else {
+                logger.error(`Error sending download ${filename}:`, error.message);
+            }
+            if (error.headers) res.set(error.headers);
+            res.status(error.status || 500).json({ error: error.status === 416 ? 'Range not satisfiable' : 'Internal server error' });
+        });
     } catch (error) {
         logger.error(`Error serving download ${req.params.filename}:`, error.message);
         res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const downloadLinkService = require('../services/downloadLinkService');
+
+/**
+ * POST /download-links
+ * Mints fresh signed download links for merged PDFs still on disk
+ * Body: { filename } for a single file, or { order } for every PDF of an order; optional ttlHours
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { filename, order, ttlHours } = req.body || {};
+
+        if (!filename && !order) {
+            return res.status(400).json({ success: false, error: 'Provide a filename or an order reference' });
+        }
+
+        if (ttlHours !== undefined && (typeof ttlHours !== 'number' || ttlHours <= 0)) {
+            return res.status(400).json({ success: false, error: 'ttlHours must be a positive number' });
+        }
+
+        let files;
+        try {
+            files = (await fs.readdir(config.tempDir)).filter(file => file.endsWith('.pdf'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            files = [];
+        }
+
+        let matches;
+        if (filename) {
+            matches = files.filter(file => file === path.basename(String(filename)));
+        } else {
+            // Order files are named <order>.pdf or <order>-<index>[ MAGAZINE].pdf
+            const prefix = String(order);
+            matches = files.filter(file => file === `${prefix}.pdf` || file.startsWith(`${prefix}-`) || file.startsWith(`${prefix} `));
+        }
+
+        if (matches.length === 0) {
+            return res.status(404).json({ success: false, error: 'No matching files found (they may have expired)' });
+        }
+
+        const options = ttlHours !== undefined ? { ttlHours } : {};
+        const links = matches.map(file => ({ filename: file, ...downloadLinkService.createDownloadLink(file, options) }));
+
+        logger.info(`Minted ${links.length} download link(s) for ${filename || order} by ${req.auth?.keyId || req.ip}`);
+
+        res.json({
+            success: true,
+            links
+        });
+    } catch (error) {
+        logger.error('Error minting download links:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const jobQueue = require('../services/jobQueue');
+const messageStatusService = require('../services/messageStatusService');
+
+/**
+ * GET /jobs/:id
+ * Returns the status of a queued webhook job, including per-project progress
+ * and the delivery status of the order's WhatsApp messages
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.json({
+            success: true,
+            job: jobQueue.toPublicJob(job),
+            messages: await messageStatusService.getByOrder(job.orderId)
+        });
+    } catch (error) {
+        logger.error(`Error reading job ${req.params.id}:`, error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /jobs/:id/retry
+ * Re-queues a failed or partially failed job. Projects that already completed are skipped,
+ * so only the failed ones are processed and sent again.
+ */
+router.post('/:id/retry', async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        if (job.status !== 'failed' && job.status !== 'partial') {
+            return res.status(409).json({ success: false, error: `Job is ${job.status}, nothing to retry` });
+        }
+
+        const { job: retryJob, existing } = await jobQueue.enqueueUnlessActive(job.payload, {
+            orderId: job.orderId,
+            projects: job.projects.map(({ projectId, projectIndex }) => ({ projectId, projectIndex }))
+        });
+        if (existing) {
+            return res.status(409).json({ success: false, error: `Order already has ${retryJob.status} job ${retryJob.id}`, jobId: retryJob.id });
+        }
+        logger.info(`Job ${job.id} retried as job ${retryJob.id} by ${req.auth?.keyId || req.ip}`);
+
+        res.status(202).json({
+            success: true,
+            jobId: retryJob.id,
+            retryOf: job.id,
+            statusUrl: `/jobs/${retryJob.id}`
+        });
+    } catch (error) {
+        logger.error(`Error retrying job ${req.params.id}:`, error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
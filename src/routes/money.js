@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const moneyService = require('../services/moneyService');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Parses the optional `from` / `to` query parameters into Date bounds.
+ * A date without a time (YYYY-MM-DD) covers the whole day for `to`.
+ * @param {Object} query - Express req.query
+ * @returns {{from: Date|null, to: Date|null}}
+ * @throws {Error} With `status = 400` when a date is invalid
+ */
+function parseDateRange(query) {
+    const parse = (value, endOfDay) => {
+        if (!value) return null;
+        const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const date = new Date(dateOnly && endOfDay ? `${value}T23:59:59.999Z` : value);
+        if (Number.isNaN(date.getTime())) {
+            const error = new Error(`Invalid date: ${value}`);
+            error.status = 400;
+            throw error;
+        }
+        return date;
+    };
+
+    return {
+        from: parse(query.from, false),
+        to: parse(query.to, true)
+    };
+}
+
+function handleError(res, error, action) {
+    if (error.status === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error(`Error ${action}:`, error.message);
+    return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: error.message
+    });
+}
+
+/**
+ * GET /money/total?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Returns the total order value, optionally limited to a date range
+ */
+router.get('/total', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        const entries = await moneyService.getEntries(range);
+        const total = entries.reduce((sum, entry) => sum + entry.orderValue, 0);
+
+        res.json({
+            success: true,
+            from: range.from,
+            to: range.to,
+            entries: entries.length,
+            total
+        });
+    } catch (error) {
+        handleError(res, error, 'reading money total');
+    }
+});
+
+/**
+ * GET /money/entries?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Returns ledger entries, optionally limited to a date range
+ */
+router.get('/entries', async (req, res) => {
+    try {
+        const range = parseDateRange(req.query);
+        const entries = await moneyService.getEntries(range);
+
+        res.json({
+            success: true,
+            from: range.from,
+            to: range.to,
+            entries
+        });
+    } catch (error) {
+        handleError(res, error, 'reading money entries');
+    }
+});
+
+/**
+ * GET /money/periods
+ * Lists the current running period and all closed periods
+ */
+router.get('/periods', async (req, res) => {
+    try {
+        const periods = await moneyService.listPeriods();
+        res.json({ success: true, ...periods });
+    } catch (error) {
+        handleError(res, error, 'listing money periods');
+    }
+});
+
+/**
+ * GET /money/periods/:id/entries
+ * Returns the entries of a period (`current` for the running one)
+ */
+router.get('/periods/:id/entries', async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (id !== 'current' && !/^\d+$/.test(id)) {
+            return res.status(400).json({ success: false, error: 'Period ID must be a number or "current"' });
+        }
+
+        const entries = await moneyService.getPeriodEntries(id);
+        if (!entries) {
+            return res.status(404).json({ success: false, error: 'Period not found' });
+        }
+
+        res.json({
+            success: true,
+            period: id,
+            total: entries.reduce((sum, entry) => sum + entry.orderValue, 0),
+            entries
+        });
+    } catch (error) {
+        handleError(res, error, 'reading money period entries');
+    }
+});
+
+/**
+ * POST /money/periods/close
+ * Archives the current period as a dated statement and starts a new running period (admin only)
+ */
+router.post('/periods/close', requireRole('admin'), async (req, res) => {
+    try {
+        const period = await moneyService.closePeriod({ closedBy: req.auth?.keyId || req.ip });
+        res.json({ success: true, period });
+    } catch (error) {
+        handleError(res, error, 'closing money period');
+    }
+});
+
+module.exports = router;
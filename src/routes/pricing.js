@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const pricingService = require('../services/pricingService');
+
+/**
+ * Checks the sample orders of a quote request.
+ * @param {Array} orders
+ * @throws {Error} With `status = 400` naming the first invalid entry
+ */
+function validateOrders(orders) {
+    const isNumber = value => value === undefined || value === null || (value !== '' && typeof value !== 'boolean' && Number.isFinite(Number(value)));
+    orders.forEach((order, i) => {
+        let problem = null;
+        if (!order || typeof order !== 'object' || Array.isArray(order)) {
+            problem = 'must be an object';
+        } else if (order.family_id !== undefined && order.family_id !== null && !['number', 'string'].includes(typeof order.family_id)) {
+            problem = '"family_id" must be a number or string';
+        } else if (!isNumber(order.pages ?? order.pageCount) || Number(order.pages ?? order.pageCount ?? 0) < 0) {
+            problem = '"pages" must be a non-negative number';
+        } else if (!isNumber(order.quantity) || !Number.isInteger(Number(order.quantity ?? 1)) || Number(order.quantity ?? 1) < 1) {
+            problem = '"quantity" must be a positive integer';
+        }
+        if (problem) {
+            const error = new Error(`Invalid order at index ${i}: ${problem}`);
+            error.status = 400;
+            throw error;
+        }
+    });
+}
+
+/**
+ * POST /pricing/quote
+ * Prices sample orders against the active pricing rules, or against a rule set
+ * supplied in the request body (to try out rules before enabling them)
+ * Body: { rules?: {currency?, rules: [...]}, orders: [{family_id, pages, quantity}] }
+ */
+router.post('/quote', async (req, res) => {
+    try {
+        const { rules, orders } = req.body || {};
+
+        if (!Array.isArray(orders) || orders.length === 0) {
+            return res.status(400).json({ success: false, error: 'Missing or empty orders array' });
+        }
+        validateOrders(orders);
+
+        let ruleSet;
+        let source;
+        if (rules !== undefined) {
+            ruleSet = pricingService.validateRuleSet(rules);
+            source = 'request';
+        } else {
+            ({ ruleSet, source } = await pricingService.getRuleSet());
+        }
+
+        const quotes = orders.map((order) => {
+            const item = {
+                familyId: order.family_id ?? null,
+                pageCount: Number(order.pages ?? order.pageCount ?? 0),
+                quantity: parseInt(order.quantity ?? 1, 10)
+            };
+            try {
+                return { input: order, ...pricingService.quoteWithRules(ruleSet, item) };
+            } catch (error) {
+                return { input: order, error: error.message };
+            }
+        });
+
+        res.json({
+            success: true,
+            source,
+            quotes
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Error quoting prices:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -5,19 +5,31 @@ const moneyService = require('../services/moneyService');
 
 /**
  * GET /reset-money
- * Resets the accumulated money total by truncating the CSV file.
+ * No longer resets anything: opening the URL by accident must not touch the books.
  */
-router.get('/', async (req, res) => {
+router.get('/', (req, res) => {
+    res.status(405).json({
+        success: false,
+        error: 'Use POST /reset-money (or POST /money/periods/close) to close the current money period'
+    });
+});
+
+/**
+ * POST /reset-money
+ * Closes the current money period (archived as a statement) and starts a new running total.
+ */
+router.post('/', async (req, res) => {
     try {
-        await moneyService.resetTotal();
-        logger.info('Money total reset via /reset-money endpoint');
+        const period = await moneyService.closePeriod({ closedBy: req.auth?.keyId || req.ip });
+        logger.info(`Money period ${period.id} closed via /reset-money endpoint`);
 
         res.json({
             success: true,
-            message: 'Money total reset'
+            message: 'Money period closed, total restarted',
+            period
         });
     } catch (error) {
-        logger.error('Error resetting money total:', error.message);
+        logger.error('Error closing money period:', error.message);
         res.status(500).json({
             success: false,
             error: 'Internal server error during money reset',
@@ -27,4 +39,3 @@ router.get('/', async (req, res) => {
 });
 
 module.exports = router;
-
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const routingService = require('../services/routingService');
+const notificationService = require('../services/notificationService');
+
+/**
+ * Checks the sample orders of a routing test request.
+ * @param {Array} orders
+ * @throws {Error} With `status = 400` naming the first invalid entry
+ */
+function validateOrders(orders) {
+    const isNumber = value => value === undefined || value === null || (value !== '' && typeof value !== 'boolean' && Number.isFinite(Number(value)));
+    orders.forEach((order, i) => {
+        let problem = null;
+        if (!order || typeof order !== 'object' || Array.isArray(order)) {
+            problem = 'must be an object';
+        } else if (order.family_id !== undefined && order.family_id !== null && !['number', 'string'].includes(typeof order.family_id)) {
+            problem = '"family_id" must be a number or string';
+        } else if (!isNumber(order.pages ?? order.pageCount)) {
+            problem = '"pages" must be a number';
+        } else if (!isNumber(order.quantity) || !Number.isInteger(Number(order.quantity ?? 1))) {
+            problem = '"quantity" must be an integer';
+        } else if (!isNumber(order.order_value ?? order.orderValue)) {
+            problem = '"order_value" must be a number';
+        } else if (order.reference !== undefined && order.reference !== null && !['number', 'string'].includes(typeof order.reference)) {
+            problem = '"reference" must be a string';
+        }
+        if (problem) {
+            const error = new Error(`Invalid order at index ${i}: ${problem}`);
+            error.status = 400;
+            throw error;
+        }
+    });
+}
+
+/**
+ * POST /routing/test
+ * Shows where sample orders would be sent with the active routing rules, or with rules
+ * supplied in the request body (to try out routes before enabling them)
+ * Body: { routes?: {routes: [...]}, orders: [{family_id, pages, quantity, order_value, reference}] }
+ */
+router.post('/test', async (req, res) => {
+    try {
+        const { routes, orders } = req.body || {};
+
+        if (!Array.isArray(orders) || orders.length === 0) {
+            return res.status(400).json({ success: false, error: 'Missing or empty orders array' });
+        }
+        validateOrders(orders);
+
+        let routing;
+        let source;
+        if (routes !== undefined) {
+            routing = routingService.validateRoutes(routes);
+            source = 'request';
+        } else {
+            ({ routing, source } = await routingService.getRoutes());
+        }
+
+        const channels = notificationService.getEnabledChannels();
+        const deliveries = orders.map((order) => {
+            const { route, recipients } = routingService.resolveWithRoutes(routing, {
+                familyId: order.family_id ?? null,
+                pageCount: order.pages ?? order.pageCount ?? null,
+                quantity: parseInt(order.quantity ?? 1, 10),
+                orderValue: order.order_value ?? order.orderValue ?? null,
+                reference: String(order.reference ?? '')
+            });
+            // Only the channels messages actually go out on
+            const enabled = Object.fromEntries(channels.map(channel => [channel, recipients[channel] || []]));
+            return { input: order, route, recipients: enabled };
+        });
+
+        res.json({
+            success: true,
+            source,
+            deliveries
+        });
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        logger.error('Error testing routing:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -1,208 +1,67 @@
 const express = require('express');
-const fs = require('fs').promises;
 const router = express.Router();
 const logger = require('../utils/logger');
-const config = require('../utils/config');
-const pdfService = require('../services/pdfService');
-const whatsappService = require('../services/whatsappService');
-const telegramService = require('../services/telegramService');
-const moneyService = require('../services/moneyService');
-const qrService = require('../services/qrService');
+const jobQueue = require('../services/jobQueue');
+const { parseWebhookPayload, getCompletedResults } = require('../services/orderProcessor');
+const { verifyPrintboxSignature } = require('../middleware/verifySignature');
 
 /**
  * POST /webhook
  * Receives webhook from Printbox when order rendering is complete
+ * Requests must carry a valid HMAC signature when PRINTBOX_WEBHOOK_SECRET is set
+ * The order is queued for background processing and acknowledged immediately with 202
+ * Redeliveries of an already completed order return the original results with 200
  */
-router.post('/', async (req, res) => {
+router.post('/', verifyPrintboxSignature, async (req, res) => {
     try {
         logger.info('Received webhook request');
 
-        const { order, projects } = req.body;
-
-        // Extract order number - can be string or from order.number or order.reference
-        let orderId = order;
-        let orderNumber = projects[0].order.reference;
-
         // Validate webhook payload
-        if (!orderNumber) {
-            logger.warn('Webhook missing order field');
-            return res.status(400).json({ error: 'Missing order field in webhook payload' });
-        }
-
-        if (!Array.isArray(projects) || projects.length === 0) {
-            logger.warn('Webhook missing or empty projects array');
-            return res.status(400).json({ error: 'Missing or empty projects array in webhook payload' });
-        }
-
-        logger.info(`Processing webhook for order: ${orderNumber}, projects: ${projects.length}`);
-
-        const results = [];
-        const errors = [];
-        const shopifyOrderId = typeof orderId === 'object' && orderId != null
-            ? (orderId.number ?? orderId.reference ?? String(orderId))
-            : String(orderId);
-        let qrImagePath = null;
+        let order;
         try {
-            qrImagePath = await qrService.generateQRImage(shopifyOrderId, orderNumber);
-        } catch (qrErr) {
-            logger.warn(`QR image generation skipped for order ${orderNumber}: ${qrErr.message}`);
+            order = parseWebhookPayload(req.body);
+        } catch (validationError) {
+            logger.warn(`Invalid webhook payload: ${validationError.message}`);
+            return res.status(validationError.status || 400).json({ error: validationError.message });
         }
 
-        // Process each project separately with index for numbering
-        for (let i = 0; i < projects.length; i++) {
-            const project = projects[i];
-            const projectIndex = i + 1; // 1-based index for -1, -2, etc.
-
-            try {
-                logger.info(`Processing project ${project.id} (${projectIndex}/${projects.length}) for order ${orderNumber}`);
-
-                // Validate project has render data with files
-                if (!project.render || !project.render.files || project.render.files.length === 0) {
-                    logger.warn(`Project ${project.id} has no render files`);
-                    errors.push({ projectId: project.id, error: 'No render files found' });
-                    continue;
-                }
-
-                // Check if this project has family_id 296 (MAGAZINE) and extract quantity
-                let isMagazine = false;
-                let quantity = 1;
-
-                if (project.order && Array.isArray(project.order.projects)) {
-                    // Find matching project in order.projects array by project ID
-                    const orderProject = project.order.projects.find(p => p.id === project.id);
-                    if (orderProject) {
-                        if (orderProject.family_id === 296) {
-                            isMagazine = true;
-                            logger.info(`Project ${project.id} identified as MAGAZINE (family_id: 296)`);
-                        }
-                        if (orderProject.quantity) {
-                            const parsedQty = parseInt(orderProject.quantity, 10);
-                            if (!isNaN(parsedQty) && parsedQty > 0) {
-                                quantity = parsedQty;
-                            }
-                        }
-                    }
-                }
-
-                // Fallbacks for quantity if not set in orderProject
-                if (quantity === 1) {
-                    if (project.order?.quantity) {
-                        const parsedQty = parseInt(project.order.quantity, 10);
-                        if (!isNaN(parsedQty) && parsedQty > 0) {
-                            quantity = parsedQty;
-                        }
-                    } else if (project.quantity) {
-                        const parsedQty = parseInt(project.quantity, 10);
-                        if (!isNaN(parsedQty) && parsedQty > 0) {
-                            quantity = parsedQty;
-                        }
-                    }
-                }
-
-                // Process PDFs: download, merge, save (with project index for filename suffix)
-                const { pdfPath, pageCount } = await pdfService.processProjectPDFs(
-                    project,
-                    orderNumber,
-                    projectIndex,
-                    isMagazine
-                );
-
-                // Construct order ID with suffix for WhatsApp message
-                // Always add index suffix for multiple projects (including -1 for first)
-                let orderIdWithSuffix = projects.length > 1 ? `${orderNumber}-${projectIndex}` : orderNumber;
-                if (isMagazine) {
-                    orderIdWithSuffix = `${orderIdWithSuffix} MAGAZINE`;
-                }
-
-                // Order value calculation (based on pages PDF only, cover excluded) * quantity
-                const safePageCount = typeof pageCount === 'number' ? pageCount : 0;
-                let unitPrice;
-                if (isMagazine) {
-                    unitPrice = 20 + (safePageCount * 10);
-                } else if (safePageCount === 24) {
-                    unitPrice = 450; // Normal book, 24 pages (excluding cover)
-                } else {
-                    unitPrice = 350 + (safePageCount * 6);
-                }
-                const orderValue = unitPrice * quantity;
-
-                // Append order value to CSV and get running total
-                await moneyService.appendOrderValue(orderIdWithSuffix, orderValue);
-                const total = await moneyService.getTotal();
-
-                // Send order message: first project with QR image as attachment (same message as order details), rest as text only
-                const notifyService = config.telegram?.botToken ? telegramService : whatsappService;
-                
-                if (i === 0 && qrImagePath) {
-                    await notifyService.sendOrderWithQRAttachment(qrImagePath, pdfPath, orderIdWithSuffix, {
-                        quantity,
-                        pageCount,
-                        orderValue,
-                        total
-                    });
-                    await fs.unlink(qrImagePath);
-                    qrImagePath = null;
-                    logger.info(`QR image sent as attachment and deleted for order ${orderNumber}`);
-                } else {
-                    await notifyService.sendPDF(pdfPath, orderIdWithSuffix, {
-                        quantity,
-                        pageCount,
-                        orderValue,
-                        total
-                    });
-                }
-
-                results.push({
-                    projectId: project.id,
-                    orderId: orderNumber,
-                    projectIndex: projectIndex,
-                    isMagazine: isMagazine,
-                    status: 'success'
-                });
-
-                logger.info(`Successfully processed project ${project.id} (${projectIndex}/${projects.length}) for order ${orderNumber}${isMagazine ? ' [MAGAZINE]' : ''}`);
-            } catch (error) {
-                logger.error(`Error processing project ${project.id}: ${error.message}`);
-                errors.push({
-                    projectId: project.id,
-                    projectIndex: projectIndex,
-                    error: error.message
-                });
-                // Continue processing other projects even if one fails
-            }
+        // Redelivery of an order whose projects all completed: nothing to do
+        const completedResults = await getCompletedResults(order);
+        if (completedResults) {
+            logger.info(`Duplicate webhook for already processed order ${order.orderNumber}, returning original results`);
+            return res.status(200).json({
+                success: true,
+                orderId: order.orderNumber,
+                duplicate: true,
+                results: completedResults
+            });
         }
 
-        // If QR was not sent with first project (e.g. first project failed), send or cleanup here
-        if (qrImagePath) {
-            try {
-                await fs.unlink(qrImagePath);
-            } catch (_) { /* ignore */ }
-        }
+        const { job, existing } = await jobQueue.enqueueUnlessActive(order, {
+            orderId: order.orderNumber,
+            projects: order.projects.map((project, i) => ({ projectId: project.id, projectIndex: i + 1 }))
+        });
 
-        // Return response
-        if (errors.length > 0 && results.length === 0) {
-            // All projects failed
-            return res.status(500).json({
-                success: false,
-                orderId: orderNumber,
-                errors
-            });
-        } else if (errors.length > 0) {
-            // Some projects succeeded, some failed
-            return res.status(207).json({
-                success: true,
-                orderId: orderNumber,
-                results,
-                errors
-            });
-        } else {
-            // All projects succeeded
-            return res.status(200).json({
+        // Redelivery while the order is still being processed: point at the existing job
+        if (existing) {
+            logger.info(`Duplicate webhook for order ${order.orderNumber}, job ${job.id} already ${job.status}`);
+            return res.status(202).json({
                 success: true,
-                orderId: orderNumber,
-                results
+                orderId: order.orderNumber,
+                duplicate: true,
+                jobId: job.id,
+                statusUrl: `/jobs/${job.id}`
             });
         }
+
+        logger.info(`Accepted webhook for order: ${order.orderNumber}, projects: ${order.projects.length}, job: ${job.id}`);
+
+        return res.status(202).json({
+            success: true,
+            orderId: order.orderNumber,
+            jobId: job.id,
+            statusUrl: `/jobs/${job.id}`
+        });
     } catch (error) {
         logger.error('Unexpected error processing webhook:', error);
         return res.status(500).json({
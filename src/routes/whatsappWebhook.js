@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const messageStatusService = require('../services/messageStatusService');
+const notificationService = require('../services/notificationService');
+const whatsappService = require('../services/whatsappService');
+const { buildDeliveryFailureAlertBody } = require('../services/messageBuilder');
+const { verifyMetaSignature } = require('../middleware/verifySignature');
+
+/**
+ * Resends a failed order message as the template when possible, otherwise alerts through the other channels.
+ * @param {Object} message - Tracked message (see messageStatusService)
+ */
+async function handleFailure(message) {
+    if (whatsappService.canResendAsTemplate(message)) {
+        try {
+            await whatsappService.resendAsTemplate(message);
+            return;
+        } catch (error) {
+            logger.error(`Template resend for message ${message.messageId} failed: ${error.message}`);
+        }
+    }
+    await notificationService.sendAlert(buildDeliveryFailureAlertBody(message), { excludeChannels: ['whatsapp'] });
+}
+
+/**
+ * GET /whatsapp/webhook
+ * Meta's verification handshake: echoes `hub.challenge` when `hub.verify_token` matches WHATSAPP_VERIFY_TOKEN
+ */
+router.get('/', (req, res) => {
+    const mode = req.query['hub.mode'];
+    const token = req.query['hub.verify_token'];
+    const challenge = req.query['hub.challenge'];
+
+    if (mode === 'subscribe' && config.whatsapp.verifyToken && token === config.whatsapp.verifyToken) {
+        logger.info('WhatsApp webhook verified');
+        return res.status(200).type('text/plain').send(String(challenge ?? ''));
+    }
+
+    logger.warn(`WhatsApp webhook verification rejected (mode: ${mode}, ip: ${req.ip})`);
+    res.sendStatus(403);
+});
+
+/**
+ * POST /whatsapp/webhook
+ * Receives message status callbacks (sent, delivered, read, failed) and updates the tracked messages.
+ * An order message that fails because the recipient is outside the 24-hour window is sent again as the
+ * configured template; any other failure (or a failed resend) raises an alert through the other notification channels.
+ * Statuses are stored before the 200 response; resends and alerts go out after it, so Meta isn't kept waiting.
+ * Requests must carry a valid X-Hub-Signature-256 when WHATSAPP_APP_SECRET is set
+ */
+router.post('/', verifyMetaSignature, async (req, res) => {
+    try {
+        const statuses = (req.body?.entry || [])
+            .flatMap(entry => entry.changes || [])
+            .filter(change => change.field === 'messages')
+            .flatMap(change => change.value?.statuses || []);
+
+        const failed = [];
+        for (const update of statuses) {
+            if (!update?.id || !update.status) continue;
+
+            const { message, changed } = await messageStatusService.recordStatus(update);
+            logger.info(`WhatsApp message ${update.id}${message.orderId ? ` (order ${message.orderId})` : ''}: ${update.status}`);
+
+            if (update.status === 'failed' && changed) {
+                logger.error(`WhatsApp delivery failed for message ${update.id}: ${JSON.stringify(update.errors || [])}`);
+                failed.push(message);
+            }
+        }
+
+        res.sendStatus(200);
+
+        for (const message of failed) {
+            await handleFailure(message).catch((error) => {
+                logger.error(`Error handling failed WhatsApp message ${message.messageId}: ${error.message}`);
+            });
+        }
+    } catch (error) {
+        logger.error('Error handling WhatsApp webhook:', error.message);
+        res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
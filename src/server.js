@@ -2,16 +2,40 @@ const express = require('express');
 const logger = require('./utils/logger');
 const config = require('./utils/config');
 const webhookRouter = require('./routes/webhook');
+const whatsappWebhookRouter = require('./routes/whatsappWebhook');
 const downloadRouter = require('./routes/download');
 const cleanupRouter = require('./routes/cleanup');
 const resetMoneyRouter = require('./routes/resetMoney');
+const jobsRouter = require('./routes/jobs');
+const pricingRouter = require('./routes/pricing');
+const routingRouter = require('./routes/routing');
+const moneyRouter = require('./routes/money');
+const downloadLinksRouter = require('./routes/downloadLinks');
 const errorHandler = require('./middleware/errorHandler');
+const { requireRole } = require('./middleware/auth');
 const { startFileCleanup } = require('./utils/fileCleanup');
+const jobQueue = require('./services/jobQueue');
+const { processOrder } = require('./services/orderProcessor');
+const pricingService = require('./services/pricingService');
+const routingService = require('./services/routingService');
+const templateService = require('./services/templateService');
+const productService = require('./services/productService');
+const whatsappService = require('./services/whatsappService');
+const moneyService = require('./services/moneyService');
 
 const app = express();
 
+// Behind a reverse proxy, per-client limits need the real client IP (see TRUST_PROXY)
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body around so webhook signatures can be verified against the exact bytes received
+app.use(express.json({
+    limit: '50mb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Request logging middleware
@@ -28,29 +52,81 @@ app.get('/health', (req, res) => {
 // Webhook route
 app.use(config.webhookPath, webhookRouter);
 
+// WhatsApp delivery status webhook (verified with Meta's signature, not API keys)
+app.use(config.whatsapp.webhookPath, whatsappWebhookRouter);
+
+// Admin/report routes are protected by API key roles (see middleware/auth.js):
+// admin > operator > readonly
+
+// Job status route
+app.use('/jobs', requireRole('operator'), jobsRouter);
+
+// Pricing route
+app.use('/pricing', requireRole('operator'), pricingRouter);
+
+// Notification routing route
+app.use('/routing', requireRole('operator'), routingRouter);
+
 // Download route
 app.use('/download', downloadRouter);
 
+// Admin route for minting fresh signed download links
+app.use('/download-links', requireRole('admin'), downloadLinksRouter);
+
 // Cleanup route
-app.use('/cleanup', cleanupRouter);
+app.use('/cleanup', requireRole('admin'), cleanupRouter);
+
+// Money ledger route
+app.use('/money', requireRole('readonly'), moneyRouter);
 
 // Reset money route
-app.use('/reset-money', resetMoneyRouter);
+app.use('/reset-money', requireRole('admin'), resetMoneyRouter);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
+// Check the message templates and product specs before accepting orders: a broken file stops the server here
+templateService.loadTemplates();
+productService.checkProductSpecs();
+whatsappService.checkTemplateConfig();
+
 // Start server
 const server = app.listen(config.port, () => {
     logger.info(`Server started on port ${config.port}`);
     logger.info(`Webhook endpoint: ${config.webhookPath}`);
+    logger.info(`WhatsApp status webhook: ${config.whatsapp.webhookPath}`);
+    logger.info(`Job endpoints: GET /jobs/:id, POST /jobs/:id/retry`);
+    logger.info(`Pricing quote endpoint: POST /pricing/quote`);
+    logger.info(`Routing test endpoint: POST /routing/test`);
     logger.info(`Download endpoint: /download/:filename`);
+    logger.info(`Download link endpoint: POST /download-links`);
     logger.info(`Cleanup endpoint: POST /cleanup`);
-    logger.info(`Reset money endpoint: GET /reset-money`);
+    logger.info(`Money endpoints: GET /money/total, GET /money/entries, GET /money/periods, POST /money/periods/close`);
+    logger.info(`Reset money endpoint: POST /reset-money`);
     logger.info(`Environment: ${config.nodeEnv}`);
 
     // Start file cleanup scheduler (runs every 24 hours)
     startFileCleanup();
+
+    // Load pricing rules early so a broken pricing file shows up in the logs at startup
+    pricingService.getRuleSet().catch((error) => {
+        logger.error(error.message);
+    });
+
+    // Same for the notification routing rules
+    routingService.getRoutes().catch((error) => {
+        logger.error(error.message);
+    });
+
+    // Load the money ledger (migrates a legacy money.csv on first start)
+    moneyService.init().catch((error) => {
+        logger.error('Failed to load money ledger:', error.message);
+    });
+
+    // Start background worker for queued webhook jobs (resumes jobs left over from a restart)
+    jobQueue.startWorker(processOrder).catch((error) => {
+        logger.error('Failed to start job worker:', error.message);
+    });
 });
 
 // Graceful shutdown
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const config = require('../utils/config');
+
+/**
+ * Signs a filename + expiry timestamp with the download link secret.
+ * @param {string} filename
+ * @param {number} expires - Unix timestamp (seconds)
+ * @returns {string} Hex encoded HMAC-SHA256
+ */
+function sign(filename, expires) {
+    return crypto
+        .createHmac('sha256', config.downloadLinks.secret)
+        .update(`${filename}:${expires}`)
+        .digest('hex');
+}
+
+/**
+ * Builds the public download URL for a merged PDF. The URL carries an expiry timestamp and an
+ * HMAC signature (DOWNLOAD_LINK_SECRET), so it cannot be guessed or extended.
+ * @param {string} filename - File name inside the temp directory
+ * @param {{ttlHours?: number}=} options - Link lifetime, defaults to DOWNLOAD_LINK_TTL_HOURS
+ * @returns {{url: string, expiresAt: string}}
+ */
+function createDownloadLink(filename, { ttlHours = config.downloadLinks.ttlHours } = {}) {
+    const url = `${config.baseUrl}/download/${encodeURIComponent(filename)}`;
+
+    const expires = Math.floor(Date.now() / 1000) + Math.round(ttlHours * 60 * 60);
+    const signature = sign(filename, expires);
+
+    return {
+        url: `${url}?expires=${expires}&signature=${signature}`,
+        expiresAt: new Date(expires * 1000).toISOString()
+    };
+}
+
+/**
+ * Shorthand for createDownloadLink(...).url
+ * @param {string} filename
+ * @returns {string}
+ */
+function createDownloadUrl(filename) {
+    return createDownloadLink(filename).url;
+}
+
+/**
+ * Verifies the expiry and signature of a download link.
+ * @param {string} filename - Requested file name
+ * @param {string|undefined} expires - `expires` query parameter
+ * @param {string|undefined} signature - `signature` query parameter
+ * @returns {{valid: boolean, reason?: 'missing'|'invalid'|'expired'}}
+ */
+function verifyDownloadLink(filename, expires, signature) {
+    if (!expires || !signature) {
+        return { valid: false, reason: 'missing' };
+    }
+
+    if (!/^\d+$/.test(String(expires)) || !/^[0-9a-f]{64}$/i.test(String(signature))) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    const expected = Buffer.from(sign(filename, expires), 'hex');
+    const received = Buffer.from(String(signature).toLowerCase(), 'hex');
+    if (!crypto.timingSafeEqual(expected, received)) {
+        return { valid: false, reason: 'invalid' };
+    }
+
+    // Checked after the signature so an attacker cannot learn anything from tampered expiries
+    if (parseInt(expires, 10) < Math.floor(Date.now() / 1000)) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    createDownloadLink,
+    createDownloadUrl,
+    verifyDownloadLink
+};
@@ -0,0 +1,106 @@
+const nodemailer = require('nodemailer');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { buildOrderMessageBody } = require('./messageBuilder');
+
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: config.email.host,
+            port: config.email.port,
+            secure: config.email.secure,
+            auth: config.email.user ? { user: config.email.user, pass: config.email.pass } : undefined,
+            // nodemailer waits up to 10 minutes on an idle socket by default, holding up the job queue
+            socketTimeout: 60000
+        });
+    }
+    return transporter;
+}
+
+/**
+ * Sends a plain-text email over SMTP.
+ * @param {{to: string, subject: string, text: string, attachments?: Array<{filename: string, path: string}>}} message
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendMail({ to, subject, text, attachments = [] }) {
+    const info = await getTransporter().sendMail({
+        from: config.email.from,
+        to,
+        subject,
+        text,
+        attachments
+    });
+    return { messageId: info.messageId };
+}
+
+/**
+ * Emails the order details with a download link
+ * @param {string} pdfPath - Path to the main merged PDF (for download link)
+ * @param {string} orderId - Order ID for subject and body
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {string=} recipient - Address(es), defaults to EMAIL_TO
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendOrder(pdfPath, orderId, details = {}, recipient = config.email.to.join(', ')) {
+    try {
+        logger.info(`Sending order email for order: ${orderId}`);
+        const result = await sendMail({ to: recipient, subject: `Order ${orderId}`, text: buildOrderMessageBody(pdfPath, orderId, details, 'email') });
+        logger.info(`Order email sent for order ${orderId}, message ID: ${result.messageId}`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to send order email for order ${orderId}: ${error.message}`);
+        throw new Error(`Email send failed: ${error.message}`);
+    }
+}
+
+/**
+ * Emails the order details with a file (the QR JPEG) attached
+ * @param {string} attachmentPath - Path to the file to attach
+ * @param {string} pdfPath - Path to the main merged PDF (for download link)
+ * @param {string} orderId - Order ID for subject and body
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {string=} recipient - Address(es), defaults to EMAIL_TO
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendOrderWithAttachment(attachmentPath, pdfPath, orderId, details = {}, recipient = config.email.to.join(', ')) {
+    try {
+        logger.info(`Sending order email with attachment for order: ${orderId}`);
+        const result = await sendMail({
+            to: recipient,
+            subject: `Order ${orderId}`,
+            text: buildOrderMessageBody(pdfPath, orderId, details, 'email'),
+            attachments: [{ filename: path.basename(attachmentPath), path: attachmentPath }]
+        });
+        logger.info(`Order email sent for order ${orderId}, message ID: ${result.messageId}`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to send order email for order ${orderId}: ${error.message}`);
+        throw new Error(`Email send failed: ${error.message}`);
+    }
+}
+
+/**
+ * Emails an alert; its first line is used as the subject.
+ * @param {string} message
+ * @param {string=} recipient - Address(es), defaults to EMAIL_TO
+ * @returns {Promise<{messageId: string}>}
+ */
+async function sendAlert(message, recipient = config.email.to.join(', ')) {
+    try {
+        const result = await sendMail({ to: recipient, subject: `Alert: ${message.split('\n')[0]}`, text: message });
+        logger.info(`Alert email sent, message ID: ${result.messageId}`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to send alert email: ${error.message}`);
+        throw new Error(`Email alert send failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    sendOrder,
+    sendOrderWithAttachment,
+    sendAlert
+};
@@ -0,0 +1,299 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson, writeJson } = require('../utils/jsonStore');
+
+/*
+ * Persistent on-disk job queue. Each job is stored as <jobsDir>/<id>.json so queued
+ * and interrupted jobs survive a restart; a single background worker drains the queue.
+ * The files are read once into an in-memory index, which every lookup uses afterwards.
+ */
+
+const FINISHED_STATUSES = ['completed', 'partial', 'failed'];
+
+let handler = null;
+let draining = false;
+let jobsPromise = null; // Resolves to Map<jobId, job>
+let enqueueChain = Promise.resolve();
+
+function getJobPath(jobId) {
+    return path.join(config.jobsDir, `${jobId}.json`);
+}
+
+/**
+ * Reads every job file into the index. Runs once; later calls share the result.
+ * @returns {Promise<Map<string, Object>>}
+ */
+function loadJobs() {
+    if (!jobsPromise) {
+        jobsPromise = (async () => {
+            let files;
+            try {
+                files = await fs.readdir(config.jobsDir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return new Map();
+                throw error;
+            }
+
+            const jobs = new Map();
+            for (const file of files) {
+                if (!file.endsWith('.json')) continue;
+                try {
+                    const job = await readJson(path.join(config.jobsDir, file), null);
+                    if (job) jobs.set(job.id, job);
+                } catch (error) {
+                    logger.warn(`Skipping unreadable job file ${file}: ${error.message}`);
+                }
+            }
+            return jobs;
+        })().catch((error) => {
+            jobsPromise = null;
+            throw error;
+        });
+    }
+    return jobsPromise;
+}
+
+/**
+ * Loads a job by ID.
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The job or null when not found
+ */
+async function getJob(jobId) {
+    const jobs = await loadJobs();
+    return jobs.get(String(jobId)) || null;
+}
+
+/**
+ * Persists a job, bumping its updatedAt timestamp.
+ * @param {Object} job
+ * @returns {Promise<Object>} The saved job
+ */
+async function saveJob(job) {
+    const jobs = await loadJobs();
+    job.updatedAt = new Date().toISOString();
+    jobs.set(job.id, job);
+    await writeJson(getJobPath(job.id), job);
+    return job;
+}
+
+/**
+ * Applies changes to a stored job and saves it.
+ * @param {string} jobId
+ * @param {function(Object): void} mutate - Receives the job and modifies it in place
+ * @returns {Promise<Object>} The updated job
+ */
+async function updateJob(jobId, mutate) {
+    const job = await getJob(jobId);
+    if (!job) {
+        throw new Error(`Job ${jobId} not found`);
+    }
+    mutate(job);
+    return saveJob(job);
+}
+
+/**
+ * Lists all stored jobs, oldest first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function listJobs() {
+    const jobs = await loadJobs();
+    return [...jobs.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Finds a queued or running job for an order.
+ * @param {string} orderId
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveJob(orderId) {
+    const jobs = await listJobs();
+    return jobs.find(job => job.orderId === orderId && (job.status === 'queued' || job.status === 'running')) || null;
+}
+
+/**
+ * Deletes finished jobs (completed, partial or failed) older than JOB_RETENTION_DAYS.
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+async function pruneJobs() {
+    const jobs = await loadJobs();
+    const cutoff = Date.now() - config.jobRetentionDays * 24 * 60 * 60 * 1000;
+    let pruned = 0;
+
+    for (const job of [...jobs.values()]) {
+        if (!FINISHED_STATUSES.includes(job.status) || Date.parse(job.finishedAt || job.updatedAt) >= cutoff) continue;
+        try {
+            await fs.unlink(getJobPath(job.id));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`Failed to delete expired job ${job.id}: ${error.message}`);
+                continue;
+            }
+        }
+        jobs.delete(job.id);
+        pruned += 1;
+    }
+
+    if (pruned > 0) logger.info(`Deleted ${pruned} job(s) finished more than ${config.jobRetentionDays} day(s) ago`);
+    return pruned;
+}
+
+/**
+ * Saves a new job to the queue and wakes the worker.
+ * @param {Object} payload - Data the worker handler needs (stored with the job)
+ * @param {{orderId?: string, projects?: Array<{projectId: string, projectIndex: number}>}=} meta - Fields exposed on the job status
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueueJob(payload, meta = {}) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        orderId: meta.orderId || null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null,
+        attempts: 0,
+        projects: (meta.projects || []).map(p => ({ ...p, status: 'pending', error: null })),
+        results: [],
+        errors: [],
+        payload
+    };
+
+    await saveJob(job);
+    logger.info(`Queued job ${job.id}${job.orderId ? ` for order ${job.orderId}` : ''}`);
+
+    setImmediate(drainQueue);
+    return job;
+}
+
+/**
+ * Queues a job for an order unless one is already queued or running. Calls are serialized, so two
+ * deliveries of the same order arriving together cannot both enqueue.
+ * @param {Object} payload - See enqueueJob
+ * @param {{orderId: string, projects?: Array<{projectId: string, projectIndex: number}>}} meta - See enqueueJob
+ * @returns {Promise<{job: Object, existing: boolean}>} The new job, or the active one with `existing: true`
+ */
+function enqueueUnlessActive(payload, meta) {
+    const result = enqueueChain.then(async () => {
+        const activeJob = await findActiveJob(meta.orderId);
+        if (activeJob) return { job: activeJob, existing: true };
+        return { job: await enqueueJob(payload, meta), existing: false };
+    });
+    enqueueChain = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Runs a single job through the registered handler and records the outcome.
+ * @param {Object} job
+ */
+async function runJob(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.attempts += 1;
+    await saveJob(job);
+
+    logger.info(`Running job ${job.id} (attempt ${job.attempts})`);
+
+    const onProgress = async ({ projectId, projectIndex, status, error }) => {
+        const entry = job.projects.find(p => p.projectIndex === projectIndex);
+        if (entry) {
+            entry.status = status;
+            entry.error = error || null;
+        } else {
+            job.projects.push({ projectId, projectIndex, status, error: error || null });
+        }
+        await saveJob(job);
+    };
+
+    try {
+        const { results, errors } = await handler(job.payload, onProgress);
+        job.results = results;
+        job.errors = errors;
+        if (errors.length > 0 && results.length === 0) {
+            job.status = 'failed';
+        } else if (errors.length > 0) {
+            job.status = 'partial';
+        } else {
+            job.status = 'completed';
+        }
+    } catch (error) {
+        logger.error(`Job ${job.id} failed: ${error.message}`);
+        job.status = 'failed';
+        job.errors = [{ error: error.message }];
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    logger.info(`Job ${job.id} finished with status: ${job.status}`);
+
+    await pruneJobs().catch((error) => {
+        logger.warn(`Failed to delete expired jobs: ${error.message}`);
+    });
+}
+
+/**
+ * Processes queued jobs one at a time until the queue is empty.
+ */
+async function drainQueue() {
+    if (draining || !handler) return;
+    draining = true;
+
+    try {
+        let next;
+        while ((next = (await listJobs()).find(job => job.status === 'queued'))) {
+            await runJob(next);
+        }
+    } catch (error) {
+        logger.error(`Job worker error: ${error.message}`);
+    } finally {
+        draining = false;
+    }
+}
+
+/**
+ * Starts the background worker. Jobs left running by a previous process are re-queued.
+ * @param {function(Object, function): Promise<{results: Array, errors: Array}>} jobHandler - Processes a job payload
+ */
+async function startWorker(jobHandler) {
+    handler = jobHandler;
+
+    const jobs = await listJobs();
+    for (const job of jobs.filter(j => j.status === 'running')) {
+        logger.warn(`Re-queueing job ${job.id} interrupted by restart`);
+        job.status = 'queued';
+        await saveJob(job);
+    }
+
+    await pruneJobs();
+
+    const queued = jobs.filter(j => j.status === 'queued').length;
+    logger.info(`Job worker started (${queued} queued job(s))`);
+    drainQueue();
+}
+
+/**
+ * Returns a job without its stored payload, for status responses.
+ * @param {Object} job
+ * @returns {Object}
+ */
+function toPublicJob(job) {
+    const { payload, ...rest } = job;
+    return rest;
+}
+
+module.exports = {
+    enqueueJob,
+    getJob,
+    updateJob,
+    listJobs,
+    findActiveJob,
+    enqueueUnlessActive,
+    pruneJobs,
+    startWorker,
+    toPublicJob
+};
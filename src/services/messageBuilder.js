@@ -0,0 +1,116 @@
+const path = require('path');
+const downloadLinkService = require('./downloadLinkService');
+const templateService = require('./templateService');
+
+// Preflight issues listed in a message before the rest are summarized
+const MAX_PREFLIGHT_LINES = 5;
+
+/**
+ * Collects the values an order template can use (see templateService.TEMPLATE_FIELDS).
+ * @param {string} mainPdfPath - Path to the main merged PDF (for download URL)
+ * @param {string} orderId - Order ID for display
+ * @param {Object} details - See buildOrderMessageBody
+ * @param {number=} maxPreflightLines - Preflight issues listed before the rest are summarized
+ * @returns {Object}
+ */
+function buildOrderView(mainPdfPath, orderId, details, maxPreflightLines = MAX_PREFLIGHT_LINES) {
+    const link = filePath => (filePath ? downloadLinkService.createDownloadUrl(path.basename(filePath)) : null);
+    const number = value => (typeof value === 'number' ? value : null);
+    const preflight = [
+        ...(details.preflight?.errors || []).map(issue => ({ message: issue.message, isError: true })),
+        ...(details.preflight?.warnings || []).map(issue => ({ message: issue.message, isError: false }))
+    ];
+    // Keep captions short: list the first few issues only
+    const shown = preflight.slice(0, maxPreflightLines);
+
+    return {
+        orderId,
+        orderReference: details.orderReference ?? null,
+        projectIndex: details.projectIndex ?? null,
+        projectCount: details.projectCount ?? null,
+        familyId: details.familyId ?? null,
+        quantity: number(details.quantity) ?? 1,
+        pageCount: number(details.pageCount),
+        orderValue: number(details.orderValue),
+        total: number(details.total) ?? number(details.orderValue),
+        currency: details.currency || 'EGP',
+        pdfUrl: link(mainPdfPath),
+        imposedUrl: link(details.imposedPdfPath),
+        combinedUrl: link(details.combinedPdfPath),
+        hasPreflight: preflight.length > 0,
+        preflight: shown,
+        preflightMore: preflight.length > shown.length ? preflight.length - shown.length : null
+    };
+}
+
+/**
+ * Builds the order details message body from the order template for the channel's language
+ * (order, quantity, page count, value, total, download links, preflight issues).
+ * Shared by every notification channel.
+ * @param {string} mainPdfPath - Path to the main merged PDF (for download URL)
+ * @param {string} orderId - Order ID for display
+ * @param {{quantity?: number|null, pageCount?: number|null, orderValue?: number|null, total?: number|null, currency?: string,
+ *     orderReference?: string, projectIndex?: number, projectCount?: number, familyId?: number|null, imposedPdfPath?: string|null,
+ *     preflight?: {warnings: Array, errors: Array}|null, combinedPdfPath?: string|null}=} details
+ * @param {string|null=} channel - Channel the message is for, to pick its template and language
+ * @returns {string}
+ */
+function buildOrderMessageBody(mainPdfPath, orderId, details = {}, channel = null) {
+    return templateService.renderMessage('order', channel, buildOrderView(mainPdfPath, orderId, details));
+}
+
+/**
+ * Builds the order message as a document caption, which chat apps cap in length. Preflight issues are
+ * summarized one by one until the message fits; a message that still doesn't fit is captioned with its
+ * first line only and returned whole as `text`, to be sent as a separate message.
+ * @param {string} mainPdfPath - Path to the main merged PDF (for download URL)
+ * @param {string} orderId - Order ID for display
+ * @param {Object} details - See buildOrderMessageBody
+ * @param {string|null} channel - Channel the message is for, to pick its template and language
+ * @param {number} maxLength - Caption limit of the channel
+ * @returns {{caption: string, text: string|null}}
+ */
+function buildOrderCaption(mainPdfPath, orderId, details, channel, maxLength) {
+    for (let lines = MAX_PREFLIGHT_LINES; lines >= 0; lines--) {
+        const body = templateService.renderMessage('order', channel, buildOrderView(mainPdfPath, orderId, details, lines));
+        if (body.length <= maxLength) return { caption: body, text: null };
+    }
+
+    const text = buildOrderMessageBody(mainPdfPath, orderId, details, channel);
+    return { caption: text.split('\n')[0].slice(0, maxLength), text };
+}
+
+/**
+ * Builds the alert sent when projects of an order fail.
+ * @param {string} orderNumber
+ * @param {Array<{projectIndex: number, error: string}>} errors - Failed projects (see processOrder)
+ * @param {number} projectCount - Number of projects in the order
+ * @returns {string}
+ */
+function buildFailureAlertBody(orderNumber, errors, projectCount) {
+    const lines = errors.map(({ projectIndex, error }) => `- Project ${projectIndex}/${projectCount}: ${error}`);
+    return `Order ${orderNumber}: ${errors.length} of ${projectCount} project(s) failed\n${lines.join('\n')}`;
+}
+
+/**
+ * Builds the alert sent when WhatsApp reports a message as failed after accepting it.
+ * @param {Object} message - Tracked message (see messageStatusService)
+ * @returns {string}
+ */
+function buildDeliveryFailureAlertBody(message) {
+    const subject = message.orderId
+        ? `order ${message.orderId}`
+        : message.kind === 'alert' ? 'an alert' : `message ${message.messageId}`;
+    const error = message.error
+        ? `${message.error.title || 'Unknown error'}${message.error.code ? ` (${message.error.code})` : ''}${message.error.details ? `: ${message.error.details}` : ''}`
+        : 'no error details';
+    return `WhatsApp delivery failed for ${subject} to ${message.recipient || 'unknown recipient'}\n${error}`;
+}
+
+module.exports = {
+    buildOrderView,
+    buildOrderMessageBody,
+    buildOrderCaption,
+    buildFailureAlertBody,
+    buildDeliveryFailureAlertBody
+};
@@ -0,0 +1,148 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson, writeJson } = require('../utils/jsonStore');
+
+/*
+ * Persistent store of sent WhatsApp messages, keyed on the message ID the Cloud API returns.
+ * Each message keeps the order it belongs to and its delivery status, updated from the
+ * status webhooks (sent -> delivered -> read, or failed).
+ */
+
+// Statuses only move forward: a late `delivered` callback never overwrites `read`
+const STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read'];
+
+let messagesPromise = null; // Resolves to the store object
+let writeChain = Promise.resolve();
+
+/**
+ * Reads the store file. Runs once (again after a failed read); concurrent and later calls share the same object.
+ * @returns {Promise<Object>}
+ */
+function load() {
+    if (!messagesPromise) {
+        messagesPromise = readJson(config.messageStatusPath, {}).catch((error) => {
+            // Let the next call try again
+            messagesPromise = null;
+            throw error;
+        });
+    }
+    return messagesPromise;
+}
+
+/**
+ * Drops messages not updated within the retention period, then writes the store.
+ */
+async function persist() {
+    const store = await load();
+    const cutoff = Date.now() - config.messageStatusRetentionDays * 24 * 60 * 60 * 1000;
+    for (const [id, message] of Object.entries(store)) {
+        if (Date.parse(message.updatedAt) < cutoff) delete store[id];
+    }
+
+    // Serialize writes so concurrent updates never interleave
+    writeChain = writeChain
+        .then(() => writeJson(config.messageStatusPath, store))
+        .catch(writeError => logger.error(`Failed to persist WhatsApp message statuses: ${writeError.message}`));
+    await writeChain;
+}
+
+/**
+ * Records a message accepted by the Cloud API.
+ * @param {string|undefined} messageId - `messages[0].id` from the API response
+ * @param {{kind: 'order'|'alert', recipient: string, orderReference?: string|null, orderId?: string|null,
+ *     projectIndex?: number|null, template?: boolean, resend?: Object|null}} context - `resend`: what is needed to send
+ *     the order again as the WhatsApp template (see whatsappService.resendAsTemplate)
+ * @returns {Promise<Object|null>} The stored message, or null without an ID
+ */
+async function recordSent(messageId, { kind, recipient, orderReference = null, orderId = null, projectIndex = null, template = false, resend = null }) {
+    if (!messageId) {
+        logger.warn(`WhatsApp returned no message ID for ${orderId ? `order ${orderId}` : kind}, its status can't be tracked`);
+        return null;
+    }
+    const store = await load();
+    const now = new Date().toISOString();
+    const message = {
+        messageId,
+        kind,
+        orderReference,
+        orderId,
+        projectIndex,
+        recipient,
+        template,
+        resend,
+        status: 'accepted',
+        error: null,
+        history: [{ status: 'accepted', at: now }],
+        sentAt: now,
+        updatedAt: now
+    };
+    store[messageId] = message;
+    await persist();
+    return message;
+}
+
+/**
+ * Applies a status callback. Statuses for messages sent before tracking started are stored without an order.
+ * @param {{id: string, status: string, timestamp?: string, recipient_id?: string, errors?: Array}} update - One entry of `statuses` in the webhook
+ * @returns {Promise<{message: Object, changed: boolean}>} The stored message and whether its status changed
+ */
+async function recordStatus(update) {
+    const store = await load();
+    const now = new Date().toISOString();
+    const at = update.timestamp ? new Date(Number(update.timestamp) * 1000).toISOString() : now;
+
+    const message = store[update.id] || {
+        messageId: update.id,
+        kind: null,
+        orderReference: null,
+        orderId: null,
+        projectIndex: null,
+        recipient: update.recipient_id || null,
+        template: false,
+        status: null,
+        error: null,
+        history: [],
+        sentAt: null,
+        updatedAt: now
+    };
+    store[update.id] = message;
+
+    const error = update.errors?.[0];
+    message.history.push({ status: update.status, at, ...(error ? { error: { code: error.code, title: error.title } } : {}) });
+
+    const changed = update.status === 'failed'
+        ? message.status !== 'failed'
+        : message.status !== 'failed' && STATUS_ORDER.indexOf(update.status) > STATUS_ORDER.indexOf(message.status);
+    if (changed) {
+        message.status = update.status;
+        if (error) {
+            message.error = {
+                code: error.code,
+                title: error.title || error.message || null,
+                details: error.error_data?.details || null
+            };
+        }
+    }
+    message.updatedAt = now;
+
+    await persist();
+    return { message, changed };
+}
+
+/**
+ * Lists the tracked messages of an order, oldest first.
+ * @param {string} orderReference
+ * @returns {Promise<Array<Object>>}
+ */
+async function getByOrder(orderReference) {
+    const store = await load();
+    return Object.values(store)
+        .filter(message => message.orderReference === orderReference)
+        .sort((a, b) => (a.sentAt || '').localeCompare(b.sentAt || ''));
+}
+
+module.exports = {
+    recordSent,
+    recordStatus,
+    getByOrder
+};
@@ -2,121 +2,390 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { readJson, writeJson } = require('../utils/jsonStore');
 
-function getMoneyFilePath() {
-    // Default to ./data/money.csv if not configured
-    const filePath = config.moneyFilePath || path.join(process.cwd(), 'data', 'money.csv');
-    return filePath;
+/*
+ * Money ledger: an append-only JSONL file (one entry per line) with an in-memory index.
+ * The file is read once at startup; afterwards appends only write the new line and
+ * totals are computed from memory. All writes go through a single queue so concurrent
+ * webhooks cannot race each other.
+ *
+ * Entries belong to accounting periods. Closing a period archives it as a dated
+ * statement and starts a new running period; nothing is ever deleted.
+ */
+
+let state = null; // { entries: Array, byKey: Map, nextId: number, periods: {current, closed} }
+let initPromise = null;
+let writeQueue = Promise.resolve();
+
+function getLedgerFilePath() {
+    return config.ledgerFilePath;
 }
 
-async function ensureMoneyDirExists() {
-    const moneyFilePath = getMoneyFilePath();
-    const dir = path.dirname(moneyFilePath);
-    await fs.mkdir(dir, { recursive: true });
+function getPeriodsFilePath() {
+    return config.periodsFilePath;
+}
+
+function getEntryKey(orderReference, projectIndex) {
+    return projectIndex === null || projectIndex === undefined
+        ? String(orderReference)
+        : `${orderReference}#${projectIndex}`;
 }
 
 /**
- * Appends a single order value to the CSV file.
- * Format: timestamp_iso,order_id,order_value
+ * Reads a legacy money.csv order label, built as `<reference>[-<projectIndex>][ MAGAZINE]`
+ * (the suffix only for multi-project orders).
+ * @param {string} label
+ * @returns {{orderReference: string, projectIndex: number}}
  */
-async function appendOrderValue(orderId, orderValue) {
+function parseLegacyLabel(label) {
+    const base = String(label).trim().replace(/ MAGAZINE$/, '');
+    const match = base.match(/^(.+)-(\d+)$/);
+    return match
+        ? { orderReference: match[1], projectIndex: parseInt(match[2], 10) }
+        : { orderReference: base, projectIndex: 1 };
+}
+
+/**
+ * Keys a legacy label can stand for. A reference that itself ends in `-<digits>` can't be told apart from a
+ * project suffix, so both readings are returned.
+ * @param {string} label
+ * @returns {Array<string>}
+ */
+function getLegacyKeys(label) {
+    const { orderReference, projectIndex } = parseLegacyLabel(label);
+    const base = String(label).trim().replace(/ MAGAZINE$/, '');
+    return [...new Set([getEntryKey(orderReference, projectIndex), getEntryKey(base, 1)])];
+}
+
+/**
+ * Indexes ledger entries by key. Migrated CSV entries are also indexed under every key their label can
+ * stand for, so redeliveries of orders recorded before the migration are still recognized.
+ * @param {Array<Object>} entries
+ * @returns {Map<string, Object>}
+ */
+function indexEntries(entries) {
+    const byKey = new Map(entries.map(entry => [entry.key, entry]));
+    for (const entry of entries.filter(e => e.migrated)) {
+        for (const key of getLegacyKeys(entry.orderLabel)) {
+            if (!byKey.has(key)) byKey.set(key, entry);
+        }
+    }
+    return byKey;
+}
+
+/**
+ * Runs a write operation after all previously queued ones.
+ * @param {function(): Promise<*>} operation
+ * @returns {Promise<*>}
+ */
+function enqueueWrite(operation) {
+    const result = writeQueue.then(operation);
+    writeQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Appends raw entries to the ledger file and flushes them to disk.
+ * @param {Array<Object>} entries
+ */
+async function writeEntries(entries) {
+    const ledgerFilePath = getLedgerFilePath();
+    await fs.mkdir(path.dirname(ledgerFilePath), { recursive: true });
+
+    const handle = await fs.open(ledgerFilePath, 'a');
+    try {
+        await handle.write(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+        await handle.datasync();
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Imports a legacy money.csv (timestamp_iso,order_id,order_value) into the ledger.
+ * The CSV is renamed to money.csv.migrated afterwards so the import runs only once.
+ * @returns {Promise<Array<Object>>} Imported entries
+ */
+async function migrateLegacyCsv() {
+    const csvPath = config.moneyFilePath;
+
+    let content;
     try {
-        if (typeof orderValue !== 'number' || Number.isNaN(orderValue)) {
-            logger.warn(`appendOrderValue called with invalid orderValue: ${orderValue}`);
-            return;
+        content = await fs.readFile(csvPath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const entries = [];
+    for (const line of content.split('\n').filter(l => l.trim())) {
+        const parts = line.trim().split(',');
+        const value = parseFloat(parts[2]);
+        if (parts.length < 3 || Number.isNaN(value)) {
+            logger.warn(`Skipping invalid money CSV line during migration: ${line}`);
+            continue;
         }
+        const { orderReference, projectIndex } = parseLegacyLabel(parts[1]);
+        entries.push({
+            id: entries.length + 1,
+            key: getEntryKey(orderReference, projectIndex),
+            orderReference,
+            projectIndex,
+            orderLabel: parts[1],
+            familyId: null,
+            pageCount: null,
+            quantity: null,
+            unitPrice: null,
+            orderValue: value,
+            timestamp: parts[0],
+            migrated: true
+        });
+    }
 
-        await ensureMoneyDirExists();
-        const moneyFilePath = getMoneyFilePath();
+    if (entries.length > 0) {
+        await writeEntries(entries);
+    }
+    await fs.rename(csvPath, `${csvPath}.migrated`);
+    logger.info(`Migrated ${entries.length} entries from ${csvPath} into the money ledger`);
 
-        // 1. Check if the file exists and read its content
-        try {
-            const content = await fs.readFile(moneyFilePath, 'utf8');
-            const lines = content.split('\n');
+    return entries;
+}
 
-            // 2. Check if the orderId already exists in column 2
-            const idExists = lines.some(line => {
-                const parts = line.split(',');
-                return parts[1] === String(orderId);
-            });
+/**
+ * Loads the ledger into memory (migrating money.csv on first start).
+ * Safe to call multiple times; the file is only read once.
+ */
+function init() {
+    if (!initPromise) {
+        initPromise = enqueueWrite(async () => {
+            const ledgerFilePath = getLedgerFilePath();
+            let entries = [];
 
-            if (idExists) {
-                logger.info(`OrderId ${orderId} already exists in CSV. Skipping append.`);
-                return; // Exit without adding
+            try {
+                const content = await fs.readFile(ledgerFilePath, 'utf8');
+                const lines = content.split('\n');
+                lines.forEach((line, i) => {
+                    if (!line.trim()) return;
+                    try {
+                        entries.push(JSON.parse(line));
+                    } catch {
+                        // A crash mid-append can leave a partial last line behind
+                        logger.warn(`Skipping unreadable money ledger line ${i + 1}`);
+                    }
+                });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                entries = await migrateLegacyCsv();
             }
-        } catch (readError) {
-            // If file doesn't exist, we just proceed to create/append
-            if (readError.code !== 'ENOENT') throw readError;
-        }
 
-        // 3. If ID doesn't exist, append the new line
-        const timestamp = new Date().toISOString();
-        const line = `${timestamp},${orderId},${orderValue}\n`;
+            let periods = await readJson(getPeriodsFilePath(), null);
+            if (!periods) {
+                // First period starts with the oldest entry (covers migrated CSV history)
+                const startedAt = entries[0]?.timestamp || new Date().toISOString();
+                periods = { current: { id: 1, startedAt }, closed: [] };
+                await writeJson(getPeriodsFilePath(), periods);
+            }
 
-        await fs.appendFile(moneyFilePath, line, 'utf8');
-        logger.info(`Appended order value to money CSV: ${orderId} -> ${orderValue}`);
-    } catch (error) {
-        logger.error('Failed to append order value to money CSV:', error.message);
+            state = {
+                entries,
+                byKey: indexEntries(entries),
+                nextId: entries.reduce((max, entry) => Math.max(max, entry.id || 0), 0) + 1,
+                periods
+            };
+            logger.info(`Money ledger loaded: ${entries.length} entries, current period ${periods.current.id}`);
+        }).catch((error) => {
+            initPromise = null;
+            throw error;
+        });
     }
+    return initPromise;
 }
 
 /**
- * Reads the CSV file and returns the total of all order values.
+ * Records a priced project in the ledger. Each order reference + project index is recorded once.
+ * @param {{orderReference: string, projectIndex?: number|null, orderLabel?: string, familyId?: number|null,
+ *          pageCount?: number|null, quantity?: number, unitPrice?: number|null, orderValue: number}} details
+ * @returns {Promise<Object|null>} The new entry, or null when skipped (duplicate or invalid value)
  */
-async function getTotal() {
+async function appendEntry(details) {
     try {
-        const moneyFilePath = getMoneyFilePath();
-
-        // If file doesn't exist yet, treat as 0
-        try {
-            await fs.access(moneyFilePath);
-        } catch {
-            return 0;
+        if (typeof details.orderValue !== 'number' || Number.isNaN(details.orderValue)) {
+            logger.warn(`appendEntry called with invalid orderValue: ${details.orderValue}`);
+            return null;
         }
 
-        const content = await fs.readFile(moneyFilePath, 'utf8');
-        if (!content.trim()) {
-            return 0;
-        }
+        await init();
 
-        const lines = content.split('\n').filter(Boolean);
-        let total = 0;
-
-        for (const line of lines) {
-            const parts = line.split(',');
-            if (parts.length < 3) continue;
-            const value = parseFloat(parts[2]);
-            if (!Number.isNaN(value)) {
-                total += value;
-            } else {
-                logger.warn(`Skipping invalid money CSV line (non-numeric value): ${line}`);
+        return await enqueueWrite(async () => {
+            const key = getEntryKey(details.orderReference, details.projectIndex);
+            if (state.byKey.has(key)) {
+                logger.info(`Order ${key} already exists in money ledger. Skipping append.`);
+                return null;
             }
-        }
 
-        return total;
+            const entry = {
+                id: state.nextId,
+                key,
+                orderReference: String(details.orderReference),
+                projectIndex: details.projectIndex ?? null,
+                orderLabel: details.orderLabel || String(details.orderReference),
+                familyId: details.familyId ?? null,
+                pageCount: details.pageCount ?? null,
+                quantity: details.quantity ?? 1,
+                unitPrice: details.unitPrice ?? null,
+                orderValue: details.orderValue,
+                periodId: state.periods.current.id,
+                timestamp: new Date().toISOString()
+            };
+
+            await writeEntries([entry]);
+            state.nextId += 1;
+            state.entries.push(entry);
+            state.byKey.set(key, entry);
+
+            logger.info(`Appended order value to money ledger: ${entry.orderLabel} -> ${entry.orderValue}`);
+            return entry;
+        });
     } catch (error) {
-        logger.error('Failed to read money CSV for total:', error.message);
+        logger.error('Failed to append order value to money ledger:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Returns ledger entries, optionally limited to a date range.
+ * @param {{from?: Date|null, to?: Date|null}=} range - Inclusive bounds on the entry timestamp
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEntries({ from = null, to = null } = {}) {
+    await init();
+    return state.entries.filter((entry) => {
+        const time = Date.parse(entry.timestamp);
+        if (from && time < from.getTime()) return false;
+        if (to && time > to.getTime()) return false;
+        return true;
+    });
+}
+
+/**
+ * Returns the total of all order values, optionally limited to a date range.
+ * @param {{from?: Date|null, to?: Date|null}=} range - Inclusive bounds on the entry timestamp
+ * @returns {Promise<number>}
+ */
+async function getTotal(range = {}) {
+    try {
+        const entries = await getEntries(range);
+        return entries.reduce((total, entry) => total + entry.orderValue, 0);
+    } catch (error) {
+        logger.error('Failed to read money ledger for total:', error.message);
         return 0;
     }
 }
 
 /**
- * Resets the total by truncating the CSV file.
+ * Returns the period an entry belongs to. Entries written before periods existed
+ * (including migrated CSV lines) belong to period 1.
+ */
+function getEntryPeriodId(entry) {
+    return entry.periodId || 1;
+}
+
+/**
+ * Returns the entries of an accounting period.
+ * @param {number|'current'} periodId
+ * @returns {Promise<Array<Object>|null>} Entries, or null when the period does not exist
  */
-async function resetTotal() {
+async function getPeriodEntries(periodId) {
+    await init();
+    const id = periodId === 'current' ? state.periods.current.id : Number(periodId);
+    const exists = id === state.periods.current.id || state.periods.closed.some(p => p.id === id);
+    if (!exists) return null;
+    return state.entries.filter(entry => getEntryPeriodId(entry) === id);
+}
+
+/**
+ * Returns the running total of the current accounting period (shown as "Total Money" in messages).
+ * @returns {Promise<number>}
+ */
+async function getPeriodTotal() {
     try {
-        await ensureMoneyDirExists();
-        const moneyFilePath = getMoneyFilePath();
-        await fs.writeFile(moneyFilePath, '', 'utf8');
-        logger.info('Money CSV has been reset (file truncated).');
+        const entries = await getPeriodEntries('current');
+        return entries.reduce((total, entry) => total + entry.orderValue, 0);
     } catch (error) {
-        logger.error('Failed to reset money CSV:', error.message);
+        logger.error('Failed to read money ledger for period total:', error.message);
+        return 0;
     }
 }
 
+/**
+ * Lists accounting periods: the current running one and all closed ones (newest first).
+ * @returns {Promise<{current: Object, closed: Array<Object>}>}
+ */
+async function listPeriods() {
+    await init();
+    const currentEntries = state.entries.filter(entry => getEntryPeriodId(entry) === state.periods.current.id);
+    return {
+        current: {
+            ...state.periods.current,
+            entryCount: currentEntries.length,
+            total: currentEntries.reduce((total, entry) => total + entry.orderValue, 0)
+        },
+        closed: [...state.periods.closed].reverse()
+    };
+}
+
+/**
+ * Closes the current accounting period: archives its entries and total as a dated
+ * statement file and starts a new running period. Ledger entries are kept.
+ * @param {{closedBy?: string}=} options
+ * @returns {Promise<Object>} The closed period
+ */
+async function closePeriod({ closedBy = null } = {}) {
+    await init();
+
+    return enqueueWrite(async () => {
+        const current = state.periods.current;
+        const entries = state.entries.filter(entry => getEntryPeriodId(entry) === current.id);
+        const closedAt = new Date().toISOString();
+        const total = entries.reduce((sum, entry) => sum + entry.orderValue, 0);
+
+        const statementPath = path.join(
+            config.statementsDir,
+            `period-${current.id}_${current.startedAt.slice(0, 10)}_${closedAt.slice(0, 10)}.json`
+        );
+
+        const period = {
+            id: current.id,
+            startedAt: current.startedAt,
+            closedAt,
+            closedBy,
+            entryCount: entries.length,
+            total,
+            statement: path.basename(statementPath)
+        };
+
+        await writeJson(statementPath, { period, entries });
+
+        const periods = {
+            current: { id: current.id + 1, startedAt: closedAt },
+            closed: [...state.periods.closed, period]
+        };
+        await writeJson(getPeriodsFilePath(), periods);
+        state.periods = periods;
+
+        logger.info(`Closed money period ${period.id}: ${entries.length} entries, total ${total}, statement ${statementPath}`);
+        return period;
+    });
+}
+
 module.exports = {
-    appendOrderValue,
+    init,
+    appendEntry,
+    getEntries,
     getTotal,
-    resetTotal
+    getPeriodEntries,
+    getPeriodTotal,
+    listPeriods,
+    closePeriod
 };
-
@@ -0,0 +1,145 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const whatsappService = require('./whatsappService');
+const telegramService = require('./telegramService');
+const emailService = require('./emailService');
+const outgoingWebhookService = require('./outgoingWebhookService');
+const routingService = require('./routingService');
+
+/*
+ * Registry of notification channels. Every channel implements the same three functions:
+ *   sendOrder(pdfPath, orderId, details, recipient)
+ *   sendOrderWithAttachment(attachmentPath, pdfPath, orderId, details, recipient, options)
+ *   sendAlert(message, recipient)
+ * and throws when the message could not be delivered. A channel that sends the attachment and the order
+ * details as separate messages sets `attachmentSent` on the error when only the attachment went out, and
+ * sends only the rest when called with `options.skipAttachment`. Messages go to every channel listed in
+ * config.notifications.channels (NOTIFY_CHANNELS), once per recipient (see routingService). To add a
+ * channel, write a module with these functions, register it below, list the env vars it needs in
+ * config.js (channelEnvVars) and its default recipients in routingService.getDefaultRecipients.
+ */
+
+const CHANNEL_METHODS = ['sendOrder', 'sendOrderWithAttachment', 'sendAlert'];
+
+const channels = new Map();
+
+/**
+ * Adds a channel to the registry.
+ * @param {string} name - Name used in NOTIFY_CHANNELS and in delivery results
+ * @param {Object} channel - Implements CHANNEL_METHODS
+ */
+function registerChannel(name, channel) {
+    const missing = CHANNEL_METHODS.filter(method => typeof channel?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Notification channel "${name}" is missing ${missing.join(', ')}`);
+    }
+    channels.set(name, channel);
+}
+
+registerChannel('whatsapp', whatsappService);
+registerChannel('telegram', telegramService);
+registerChannel('email', emailService);
+registerChannel('webhook', outgoingWebhookService);
+
+/**
+ * @returns {Array<string>} Names of the channels messages are sent to
+ */
+function getEnabledChannels() {
+    return config.notifications.channels;
+}
+
+/**
+ * Calls a channel function for every recipient of every enabled channel at once.
+ * Never throws: the outcome of each delivery is returned.
+ * @param {string} method - One of CHANNEL_METHODS
+ * @param {Array} args - Arguments before the recipient
+ * @param {Object<string, Array<string>>|null} recipients - Recipients per channel (see routingService); null for the defaults
+ * @param {string} label - What is being sent, for logs
+ * @param {Array<string>=} channelNames - Channels to use, defaults to the enabled ones
+ * @param {function(string, string): Object|undefined=} getOptions - Extra options argument per channel and recipient
+ * @returns {Promise<Array<{channel: string, recipient: string|null, status: 'sent'|'failed', error?: string,
+ *     attachmentSent?: boolean}>>} `attachmentSent`: a failed delivery whose attachment did reach the recipient
+ */
+async function fanOut(method, args, recipients, label, channelNames = getEnabledChannels(), getOptions = () => undefined) {
+    const targets = recipients || routingService.getDefaultRecipients();
+    const deliveries = [];
+    for (const name of channelNames) {
+        const list = targets[name] || [];
+        if (list.length === 0) {
+            logger.info(`No ${name} recipients for ${label}, not sent through ${name}`);
+        }
+        list.forEach(recipient => deliveries.push({ name, recipient }));
+    }
+
+    return Promise.all(deliveries.map(async ({ name, recipient }) => {
+        const channel = channels.get(name);
+        if (!channel) {
+            logger.error(`Notification channel "${name}" is not registered, ${label} not sent through it`);
+            return { channel: name, recipient, status: 'failed', error: 'Unknown notification channel' };
+        }
+        const options = getOptions(name, recipient);
+        try {
+            await channel[method](...args, recipient, ...(options ? [options] : []));
+            return { channel: name, recipient, status: 'sent' };
+        } catch (error) {
+            logger.error(`Sending ${label} via ${name} to ${recipient} failed: ${error.message}`);
+            const attachmentSent = Boolean(error.attachmentSent || options?.skipAttachment);
+            return { channel: name, recipient, status: 'failed', error: error.message, ...(attachmentSent && { attachmentSent }) };
+        }
+    }));
+}
+
+/**
+ * Sends the order details to every enabled channel.
+ * @param {string} pdfPath - Path to the main merged PDF
+ * @param {string} orderId - Order ID with project suffix
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {Object<string, Array<string>>|null=} recipients - Recipients per channel (see routingService.resolveRecipients)
+ * @returns {Promise<Array<{channel: string, recipient: string|null, status: 'sent'|'failed', error?: string}>>} Outcome per delivery
+ */
+function sendOrder(pdfPath, orderId, details = {}, recipients = null) {
+    return fanOut('sendOrder', [pdfPath, orderId, details], recipients, `order ${orderId}`);
+}
+
+/**
+ * Sends the order details with an attachment (the QR image) to every enabled channel.
+ * @param {string} attachmentPath
+ * @param {string} pdfPath - Path to the main merged PDF
+ * @param {string} orderId - Order ID with project suffix
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {Object<string, Array<string>>|null=} recipients - Recipients per channel (see routingService.resolveRecipients)
+ * @param {Array<{channel: string, recipient: string}>=} attachmentSent - Recipients an earlier attempt already sent
+ *     the attachment to; they only get the rest of the message
+ * @returns {Promise<Array<{channel: string, recipient: string|null, status: 'sent'|'failed', error?: string,
+ *     attachmentSent?: boolean}>>} Outcome per delivery
+ */
+function sendOrderWithAttachment(attachmentPath, pdfPath, orderId, details = {}, recipients = null, attachmentSent = []) {
+    const getOptions = (channel, recipient) => (
+        attachmentSent.some(sent => sent.channel === channel && sent.recipient === recipient) ? { skipAttachment: true } : undefined
+    );
+    return fanOut('sendOrderWithAttachment', [attachmentPath, pdfPath, orderId, details], recipients, `order ${orderId}`, getEnabledChannels(), getOptions);
+}
+
+/**
+ * Sends an alert to the default recipients of every enabled channel.
+ * @param {string} message
+ * @param {{excludeChannels?: Array<string>}=} options - Channels to leave out, e.g. the one the alert is about
+ * @returns {Promise<Array<{channel: string, recipient: string|null, status: 'sent'|'failed', error?: string}>>} Outcome per delivery
+ */
+async function sendAlert(message, { excludeChannels = [] } = {}) {
+    const channelNames = getEnabledChannels().filter(name => !excludeChannels.includes(name));
+    if (channelNames.length === 0) {
+        logger.warn(`No notification channel left for alert (excluded: ${excludeChannels.join(', ')}): ${message.split('\n')[0]}`);
+        return [];
+    }
+    return fanOut('sendAlert', [message], null, 'alert', channelNames);
+}
+
+module.exports = {
+    CHANNEL_METHODS,
+    registerChannel,
+    getEnabledChannels,
+    sendOrder,
+    sendOrderWithAttachment,
+    sendAlert
+};
@@ -0,0 +1,404 @@
+const fs = require('fs').promises;
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const pdfService = require('./pdfService');
+const notificationService = require('./notificationService');
+const { buildFailureAlertBody } = require('./messageBuilder');
+const moneyService = require('./moneyService');
+const qrService = require('./qrService');
+const processedRegistry = require('./processedRegistry');
+const pricingService = require('./pricingService');
+const routingService = require('./routingService');
+
+/**
+ * Validates a Printbox webhook payload and extracts the order identifiers.
+ * @param {Object} body - Webhook request body
+ * @returns {{orderNumber: string, shopifyOrderId: string, projects: Array}}
+ * @throws {Error} With `status = 400` when the payload is invalid
+ */
+function parseWebhookPayload(body) {
+    const { order, projects } = body || {};
+
+    if (!Array.isArray(projects) || projects.length === 0) {
+        const error = new Error('Missing or empty projects array in webhook payload');
+        error.status = 400;
+        throw error;
+    }
+
+    // Order number (reference) comes from the first project, Shopify order ID from req.body.order
+    const orderNumber = projects[0]?.order?.reference;
+    if (!orderNumber) {
+        const error = new Error('Missing order field in webhook payload');
+        error.status = 400;
+        throw error;
+    }
+
+    const shopifyOrderId = typeof order === 'object' && order != null
+        ? (order.number ?? order.reference ?? String(order))
+        : String(order);
+
+    return { orderNumber: String(orderNumber), shopifyOrderId, projects };
+}
+
+/**
+ * Extracts family, MAGAZINE flag and quantity for a project from the webhook payload.
+ * @param {Object} project - Project object from Printbox webhook
+ * @returns {{familyId: number|null, isMagazine: boolean, quantity: number}}
+ */
+function getProjectDetails(project) {
+    let familyId = null;
+    let isMagazine = false;
+    let quantity = 1;
+
+    if (project.order && Array.isArray(project.order.projects)) {
+        // Find matching project in order.projects array by project ID
+        const orderProject = project.order.projects.find(p => p.id === project.id);
+        if (orderProject) {
+            familyId = orderProject.family_id ?? null;
+            if (orderProject.family_id === 296) {
+                isMagazine = true;
+                logger.info(`Project ${project.id} identified as MAGAZINE (family_id: 296)`);
+            }
+            if (orderProject.quantity) {
+                const parsedQty = parseInt(orderProject.quantity, 10);
+                if (!isNaN(parsedQty) && parsedQty > 0) {
+                    quantity = parsedQty;
+                }
+            }
+        }
+    }
+
+    // Fallbacks for quantity if not set in orderProject
+    if (quantity === 1) {
+        if (project.order?.quantity) {
+            const parsedQty = parseInt(project.order.quantity, 10);
+            if (!isNaN(parsedQty) && parsedQty > 0) {
+                quantity = parsedQty;
+            }
+        } else if (project.quantity) {
+            const parsedQty = parseInt(project.quantity, 10);
+            if (!isNaN(parsedQty) && parsedQty > 0) {
+                quantity = parsedQty;
+            }
+        }
+    }
+
+    return { familyId, isMagazine, quantity };
+}
+
+/**
+ * Returns the stored results when every project of the order already completed from the same render.
+ * @param {{orderNumber: string, projects: Array}} order - Parsed webhook payload
+ * @returns {Promise<Array|null>} Original results, or null when some project still needs processing
+ */
+async function getCompletedResults({ orderNumber, projects }) {
+    const results = [];
+    for (const project of projects) {
+        const entry = await processedRegistry.getCompleted(orderNumber, project);
+        if (!entry) return null;
+        results.push(entry.result);
+    }
+    return results;
+}
+
+/**
+ * Processes every project of a Printbox order: merges PDFs, records the order value and notifies the team.
+ * Projects already completed for this order (see processedRegistry) are skipped and their original result returned.
+ * @param {{orderNumber: string, shopifyOrderId: string, projects: Array}} order - Parsed webhook payload
+ * @param {function(Object): Promise<void>=} onProgress - Called with `{projectId, projectIndex, status, error?}` as each project moves on
+ *     (status: processing, success, skipped or failed)
+ * @returns {Promise<{results: Array, errors: Array}>}
+ */
+async function processOrder({ orderNumber, shopifyOrderId, projects }, onProgress = async () => {}) {
+    logger.info(`Processing order: ${orderNumber}, projects: ${projects.length}`);
+
+    const results = [];
+    const errors = [];
+    let qrImagePath = null;
+    // The QR travels with the first project's message, so it is only needed if that project still has to be sent
+    const firstProjectDone = await processedRegistry.getCompleted(orderNumber, projects[0]);
+    if (!firstProjectDone) {
+        try {
+            qrImagePath = await qrService.generateQRImage(shopifyOrderId, orderNumber);
+        } catch (qrErr) {
+            logger.warn(`QR image generation skipped for order ${orderNumber}: ${qrErr.message}`);
+        }
+    }
+
+    // Job tickets carry the QR on every project's PDF; kept in memory for the whole order
+    let ticketQrImage = null;
+    if (config.jobTicket.enabled) {
+        try {
+            ticketQrImage = await qrService.createQRImage(shopifyOrderId, orderNumber);
+        } catch (qrErr) {
+            logger.warn(`Job tickets for order ${orderNumber} will have no QR code: ${qrErr.message}`);
+        }
+    }
+
+    const recordFailure = async (project, projectIndex, error) => {
+        logger.error(`Error processing project ${project.id}: ${error.message}`);
+        errors.push({
+            projectId: project.id,
+            projectIndex: projectIndex,
+            error: error.message,
+            ...(error.preflight && { preflight: error.preflight }),
+            ...(error.notifications && { notifications: error.notifications })
+        });
+        await processedRegistry.markFailed(orderNumber, project, projectIndex, error.message, error.notifications || null);
+        await onProgress({ projectId: project.id, projectIndex, status: 'failed', error: error.message });
+    };
+
+    // Phase 1: build every project's PDFs and price them. Messages are sent in phase 2, once the
+    // combined order PDF (which needs all projects) is ready to be linked from the first one.
+    const prepared = [];
+    let skippedCount = 0;
+    for (let i = 0; i < projects.length; i++) {
+        const project = projects[i];
+        const projectIndex = i + 1; // 1-based index for -1, -2, etc.
+
+        const completed = await processedRegistry.getCompleted(orderNumber, project);
+        if (completed) {
+            logger.info(`Project ${project.id} (${projectIndex}/${projects.length}) of order ${orderNumber} already processed, skipping`);
+            results.push(completed.result);
+            skippedCount += 1;
+            await onProgress({ projectId: project.id, projectIndex, status: 'skipped' });
+            continue;
+        }
+
+        try {
+            logger.info(`Processing project ${project.id} (${projectIndex}/${projects.length}) for order ${orderNumber}`);
+            await onProgress({ projectId: project.id, projectIndex, status: 'processing' });
+
+            // Validate project has render data with files
+            if (!project.render || !project.render.files || project.render.files.length === 0) {
+                throw new Error('No render files found');
+            }
+
+            const { familyId, isMagazine, quantity } = getProjectDetails(project);
+
+            // Construct order ID with suffix for WhatsApp message
+            // Always add index suffix for multiple projects (including -1 for first)
+            let orderIdWithSuffix = projects.length > 1 ? `${orderNumber}-${projectIndex}` : orderNumber;
+            if (isMagazine) {
+                orderIdWithSuffix = `${orderIdWithSuffix} MAGAZINE`;
+            }
+
+            // Order value from the pricing rules (based on pages PDF only, cover and job ticket excluded).
+            // Priced once, either for the job ticket or after the PDFs are processed.
+            let projectQuote = null;
+            const quoteProject = async (pages) => {
+                projectQuote = projectQuote || await pricingService.quote({ familyId, pageCount: pages, quantity });
+                return projectQuote;
+            };
+
+            const jobTicket = config.jobTicket.enabled
+                ? async ({ pageCount: pages }) => {
+                    const { orderValue: price, currency } = await quoteProject(pages);
+                    return {
+                        orderLabel: orderIdWithSuffix,
+                        orderReference: orderNumber,
+                        projectIndex,
+                        projectCount: projects.length,
+                        isMagazine,
+                        quantity,
+                        pageCount: pages,
+                        price,
+                        currency,
+                        qrImage: ticketQrImage
+                    };
+                }
+                : null;
+
+            const stampSlugLine = config.slugLine.enabled
+                && (config.slugLine.families.length === 0 || config.slugLine.families.includes(String(familyId)));
+            const slugLine = stampSlugLine ? { orderReference: orderNumber, projectIndex } : null;
+
+            // Process PDFs: download, merge, save (with project index for filename suffix)
+            const { pdfPath, pageCount, imposedPdfPath, preflight, pageLayout, renderFiles } = await pdfService.processProjectPDFs(
+                project,
+                orderNumber,
+                projectIndex,
+                isMagazine,
+                { familyId, jobTicket, slugLine }
+            );
+
+            const quote = await quoteProject(pageCount);
+            logger.info(`Priced project ${project.id} with rule "${quote.rule}": ${quote.orderValue}`);
+
+            prepared.push({
+                project,
+                projectIndex,
+                familyId,
+                isMagazine,
+                quantity,
+                orderIdWithSuffix,
+                pdfPath,
+                pageCount,
+                imposedPdfPath,
+                preflight,
+                pageLayout,
+                renderFiles,
+                quote
+            });
+        } catch (error) {
+            await recordFailure(project, projectIndex, error);
+            // Continue processing other projects even if one fails
+        }
+    }
+
+    // Single order-level PDF for multi-project orders, linked from the first message. Not rebuilt when a
+    // redelivery or retry only processes some projects: the earlier messages and PDFs have already gone out.
+    let combinedPdfPath = null;
+    if (config.combinedPdf.enabled && prepared.length > 1 && skippedCount === 0) {
+        try {
+            const combinedBuffer = await pdfService.createCombinedOrderPDF(orderNumber, prepared.map(item => ({
+                orderLabel: item.orderIdWithSuffix,
+                projectIndex: item.projectIndex,
+                pdfPath: item.pdfPath,
+                isMagazine: item.isMagazine,
+                quantity: item.quantity,
+                pageCount: item.pageCount,
+                pageLayout: item.pageLayout
+            })), projects.length);
+            combinedPdfPath = await pdfService.savePDF(combinedBuffer, orderNumber, null, false, 'ORDER');
+        } catch (combinedErr) {
+            logger.warn(`Combined PDF skipped for order ${orderNumber}: ${combinedErr.message}`);
+        }
+    }
+
+    // Phase 2: record the money and send one message per project
+    for (const item of prepared) {
+        const { project, projectIndex, familyId, isMagazine, quantity, orderIdWithSuffix, pdfPath, pageCount, imposedPdfPath, preflight, renderFiles } = item;
+        const { orderValue, unitPrice, currency } = item.quote;
+
+        try {
+            // Record order value in the money ledger and get the current period's running total
+            await moneyService.appendEntry({
+                orderReference: orderNumber,
+                projectIndex,
+                orderLabel: orderIdWithSuffix,
+                familyId,
+                pageCount,
+                quantity,
+                unitPrice,
+                orderValue
+            });
+            const total = await moneyService.getPeriodTotal();
+
+            // Send order message to every channel: first project with QR image as attachment
+            // (same message as order details), rest as text only
+            const details = {
+                orderReference: orderNumber,
+                projectIndex,
+                projectCount: projects.length,
+                familyId,
+                quantity,
+                pageCount,
+                orderValue,
+                total,
+                currency,
+                imposedPdfPath,
+                preflight,
+                combinedPdfPath
+            };
+
+            const { route, recipients } = await routingService.resolveRecipients({
+                familyId,
+                pageCount,
+                quantity,
+                orderValue,
+                reference: orderNumber
+            });
+            if (route) {
+                logger.info(`Routing order ${orderIdWithSuffix} with route "${route}"`);
+            }
+
+            // Recipients an earlier attempt already reached are left out, so a retry only sends to the others;
+            // recipients that only got the attachment get the rest of the message without it
+            const previousDeliveries = await processedRegistry.getPreviousDeliveries(orderNumber, project);
+            const alreadySent = previousDeliveries.filter(delivery => delivery.status === 'sent');
+            const attachmentSent = previousDeliveries.filter(delivery => delivery.status !== 'sent' && delivery.attachmentSent);
+            const pendingRecipients = Object.fromEntries(Object.entries(recipients).map(([channel, list]) => [
+                channel,
+                list.filter(recipient => !alreadySent.some(sent => sent.channel === channel && sent.recipient === recipient))
+            ]));
+            if (alreadySent.length > 0) {
+                logger.info(`Order ${orderIdWithSuffix} already reached ${alreadySent.length} recipient(s), sending to the remaining ones`);
+            }
+
+            const withQR = projectIndex === 1 && Boolean(qrImagePath);
+            const notifications = [
+                ...alreadySent,
+                ...(withQR
+                    ? await notificationService.sendOrderWithAttachment(qrImagePath, pdfPath, orderIdWithSuffix, details, pendingRecipients, attachmentSent)
+                    : await notificationService.sendOrder(pdfPath, orderIdWithSuffix, details, pendingRecipients))
+            ];
+
+            // The project is delivered once every recipient got the message; otherwise it fails with the
+            // outcome per channel and recipient, and a retry sends to the failed recipients only
+            if (notifications.length === 0) {
+                throw new Error(`No notification recipients for order ${orderIdWithSuffix}${route ? ` (route "${route}")` : ''}`);
+            }
+            if (notifications.some(notification => notification.status === 'sent')) {
+                // Only the first message sent carries the combined PDF link
+                combinedPdfPath = null;
+            }
+            const failed = notifications.filter(notification => notification.status !== 'sent');
+            if (failed.length > 0) {
+                const error = new Error(`Notification failed for ${failed.length} of ${notifications.length} recipient(s): ${failed.map(n => `${n.channel} ${n.recipient}: ${n.error}`).join('; ')}`);
+                error.notifications = notifications;
+                throw error;
+            }
+            if (withQR) {
+                await fs.unlink(qrImagePath);
+                qrImagePath = null;
+                logger.info(`QR image sent as attachment and deleted for order ${orderNumber}`);
+            }
+
+            const result = {
+                projectId: project.id,
+                orderId: orderNumber,
+                projectIndex: projectIndex,
+                isMagazine: isMagazine,
+                imposed: Boolean(imposedPdfPath),
+                preflight,
+                renderFiles,
+                route,
+                notifications,
+                status: 'success'
+            };
+            results.push(result);
+            await processedRegistry.markCompleted(orderNumber, project, projectIndex, result);
+            await onProgress({ projectId: project.id, projectIndex, status: 'success' });
+
+            logger.info(`Successfully processed project ${project.id} (${projectIndex}/${projects.length}) for order ${orderNumber}${isMagazine ? ' [MAGAZINE]' : ''}`);
+        } catch (error) {
+            await recordFailure(project, projectIndex, error);
+        }
+    }
+
+    // Skipped projects were collected during phase 1, so restore project order
+    results.sort((a, b) => a.projectIndex - b.projectIndex);
+    errors.sort((a, b) => a.projectIndex - b.projectIndex);
+
+    // Tell the team about projects that failed in this run (on every channel that still works)
+    if (errors.length > 0) {
+        await notificationService.sendAlert(buildFailureAlertBody(orderNumber, errors, projects.length));
+    }
+
+    // If QR was not sent with first project (e.g. first project failed), cleanup here
+    if (qrImagePath) {
+        try {
+            await fs.unlink(qrImagePath);
+        } catch (_) { /* ignore */ }
+    }
+
+    return { results, errors };
+}
+
+module.exports = {
+    parseWebhookPayload,
+    getProjectDetails,
+    getCompletedResults,
+    processOrder
+};
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { computeSignature } = require('../middleware/verifySignature');
+const downloadLinkService = require('./downloadLinkService');
+const { buildOrderMessageBody } = require('./messageBuilder');
+
+/*
+ * Generic outgoing HTTP webhook channel: POSTs a JSON event to NOTIFY_WEBHOOK_URL (or a URL picked by the
+ * routing rules). With a secret set, requests are signed like incoming Printbox webhooks:
+ * X-Webhook-Signature is the hex HMAC-SHA256 of `<X-Webhook-Timestamp>.<raw body>`.
+ */
+
+/**
+ * POSTs an event.
+ * @param {string} url
+ * @param {string} event - `order` or `alert`
+ * @param {Object} data - Event fields
+ * @returns {Promise<{status: number}>}
+ */
+async function postEvent(url, event, data) {
+    const body = JSON.stringify({ event, sentAt: new Date().toISOString(), ...data });
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.notifyWebhook.secret) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        headers['X-Webhook-Timestamp'] = timestamp;
+        headers['X-Webhook-Signature'] = computeSignature(config.notifyWebhook.secret, timestamp, Buffer.from(body));
+    }
+
+    const response = await axios.post(url, body, { headers, timeout: 30000 });
+    return { status: response.status };
+}
+
+/**
+ * Builds the order event: the same text the chat channels send, plus the fields as data.
+ * @param {string} pdfPath
+ * @param {string} orderId
+ * @param {Object} details - See messageBuilder.buildOrderMessageBody
+ * @returns {Object}
+ */
+function buildOrderEvent(pdfPath, orderId, details) {
+    const link = filePath => (filePath ? downloadLinkService.createDownloadUrl(path.basename(filePath)) : null);
+    return {
+        orderId,
+        message: buildOrderMessageBody(pdfPath, orderId, details, 'webhook'),
+        quantity: details.quantity ?? null,
+        pageCount: details.pageCount ?? null,
+        orderValue: details.orderValue ?? null,
+        total: details.total ?? null,
+        links: {
+            pdf: link(pdfPath),
+            imposed: link(details.imposedPdfPath),
+            combined: link(details.combinedPdfPath)
+        },
+        preflight: details.preflight || null
+    };
+}
+
+/**
+ * Posts an `order` event
+ * @param {string} pdfPath - Path to the main merged PDF (for download link)
+ * @param {string} orderId
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {string=} url - Defaults to NOTIFY_WEBHOOK_URL
+ * @returns {Promise<{status: number}>}
+ */
+async function sendOrder(pdfPath, orderId, details = {}, url = config.notifyWebhook.url) {
+    try {
+        const result = await postEvent(url, 'order', buildOrderEvent(pdfPath, orderId, details));
+        logger.info(`Order event posted to webhook for order ${orderId} (HTTP ${result.status})`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to post order event for order ${orderId}: ${error.message}`);
+        throw new Error(`Webhook send failed: ${error.message}`);
+    }
+}
+
+/**
+ * Posts an `order` event with a file (the QR JPEG) embedded as base64
+ * @param {string} attachmentPath - Path to the file to embed
+ * @param {string} pdfPath - Path to the main merged PDF (for download link)
+ * @param {string} orderId
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {string=} url - Defaults to NOTIFY_WEBHOOK_URL
+ * @returns {Promise<{status: number}>}
+ */
+async function sendOrderWithAttachment(attachmentPath, pdfPath, orderId, details = {}, url = config.notifyWebhook.url) {
+    try {
+        const attachment = {
+            filename: path.basename(attachmentPath),
+            data: (await fs.readFile(attachmentPath)).toString('base64')
+        };
+        const result = await postEvent(url, 'order', { ...buildOrderEvent(pdfPath, orderId, details), attachment });
+        logger.info(`Order event with attachment posted to webhook for order ${orderId} (HTTP ${result.status})`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to post order event for order ${orderId}: ${error.message}`);
+        throw new Error(`Webhook send failed: ${error.message}`);
+    }
+}
+
+/**
+ * Posts an `alert` event
+ * @param {string} message
+ * @param {string=} url - Defaults to NOTIFY_WEBHOOK_URL
+ * @returns {Promise<{status: number}>}
+ */
+async function sendAlert(message, url = config.notifyWebhook.url) {
+    try {
+        const result = await postEvent(url, 'alert', { message });
+        logger.info(`Alert posted to webhook (HTTP ${result.status})`);
+        return result;
+    } catch (error) {
+        logger.error(`Failed to post alert to webhook: ${error.message}`);
+        throw new Error(`Webhook alert send failed: ${error.message}`);
+    }
+}
+
+module.exports = {
+    sendOrder,
+    sendOrderWithAttachment,
+    sendAlert
+};
@@ -1,68 +1,558 @@
 const axios = require('axios');
-const { PDFDocument } = require('pdf-lib');
 const fs = require('fs').promises;
 const fsSync = require('fs');
 const path = require('path');
 const tar = require('tar');
+const yauzl = require('yauzl');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { verifyFile } = require('../utils/fileIntegrity');
+const { createWorkerPool } = require('../utils/workerPool');
+const preflightService = require('./preflightService');
+const productService = require('./productService');
+const renderRoleService = require('./renderRoleService');
+
+// All pdf-lib work on whole books (merge, page boxes, slug lines, tickets, imposition) runs here, off the main event loop
+const pdfWorkerPool = createWorkerPool({
+    name: 'PDF',
+    script: path.join(__dirname, '..', 'workers', 'pdfWorker.js'),
+    size: config.pdfWorkers.concurrency,
+    taskTimeoutMs: config.pdfWorkers.taskTimeoutMs,
+    resourceLimits: { maxOldGenerationSizeMb: config.pdfWorkers.maxMemoryMb }
+});
 
 /**
- * Downloads a tar file from a URL
- * @param {string} url - The URL of the tar file to download
- * @returns {Promise<Buffer>} The tar file as a buffer
+ * Streams a single download attempt to disk, resuming from `offset` when the server supports ranges.
+ * @param {string} url - The URL to download
+ * @param {string} destPath - File to write to
+ * @param {number} offset - Bytes already on disk from a previous attempt
+ * @returns {Promise<number>} Total bytes on disk after the attempt
  */
-async function downloadTar(url) {
+async function streamToFile(url, destPath, offset) {
+    const maxBytes = config.render.maxDownloadBytes;
+
+    const response = await axios.get(url, {
+        responseType: 'stream',
+        timeout: 120000, // 2 minute idle timeout for large render files
+        headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+        validateStatus: status => status === 200 || status === 206 || (status === 416 && offset > 0)
+    });
+
+    // 416 on a resume means the previous attempt already received the whole file
+    if (response.status === 416) {
+        response.data.destroy();
+        return offset;
+    }
+
+    const resumed = response.status === 206 && offset > 0;
+    let received = resumed ? offset : 0;
+    if (offset > 0 && !resumed) {
+        logger.info('Server does not support resuming, restarting download from zero');
+    }
+
+    // Content-Range: bytes <start>-<end>/<total>, otherwise Content-Length of this response
+    const contentRange = response.headers['content-range'];
+    const rangeTotal = contentRange && /\/(\d+)$/.exec(contentRange);
+    const contentLength = parseInt(response.headers['content-length'], 10);
+    const totalSize = rangeTotal
+        ? parseInt(rangeTotal[1], 10)
+        : (Number.isNaN(contentLength) ? null : received + contentLength);
+
+    if (totalSize !== null && totalSize > maxBytes) {
+        response.data.destroy();
+        const error = new Error(`Render file is ${totalSize} bytes, larger than the ${maxBytes} byte limit`);
+        error.fatal = true;
+        throw error;
+    }
+
+    // Log progress every 10% when the size is known, otherwise every 50 MB
+    const progressStep = totalSize ? Math.max(Math.ceil(totalSize / 10), 1) : 50 * 1024 * 1024;
+    let nextProgress = received + progressStep;
+
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > maxBytes) {
+                const error = new Error(`Render file exceeds the ${maxBytes} byte limit`);
+                error.fatal = true;
+                return callback(error);
+            }
+            if (received >= nextProgress) {
+                const percent = totalSize ? ` (${Math.floor((received / totalSize) * 100)}%)` : '';
+                logger.info(`Downloading render file: ${received} bytes${percent}`);
+                nextProgress = received + progressStep;
+            }
+            callback(null, chunk);
+        }
+    });
+
+    await pipeline(response.data, limiter, fsSync.createWriteStream(destPath, { flags: resumed ? 'a' : 'w' }));
+    return received;
+}
+
+/**
+ * Downloads a render file (archive or PDF) from a URL straight to disk (never buffered in memory).
+ * Interrupted downloads are retried, resuming with a Range request where possible.
+ * @param {string} url - The URL of the render file to download
+ * @param {string} destPath - Where to write the render file
+ * @param {Object=} render - Printbox render object; its `size` / checksum fields are verified if present
+ * @returns {Promise<{path: string, size: number}>} The downloaded file
+ */
+async function downloadRender(url, destPath, render = null) {
+    const maxAttempts = config.render.downloadRetries + 1;
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    logger.info(`Downloading render file from: ${url}`);
+
+    let size = 0;
+    for (let attempt = 1; ; attempt++) {
+        let offset = 0;
+        if (attempt > 1) {
+            try {
+                offset = (await fs.stat(destPath)).size;
+            } catch {
+                offset = 0;
+            }
+        }
+
+        try {
+            size = await streamToFile(url, destPath, offset);
+            break;
+        } catch (error) {
+            const status = error.response?.status;
+            // Client errors (e.g. an expired signed URL) won't get better by retrying
+            const retryable = !error.fatal && !(status >= 400 && status < 500 && status !== 408 && status !== 429);
+
+            if (!retryable || attempt >= maxAttempts) {
+                logger.error(`Failed to download render file from ${url}:`, error.message);
+                throw new Error(`Render file download failed: ${error.message}`);
+            }
+
+            const delayMs = 1000 * 2 ** (attempt - 1);
+            logger.warn(`Render download attempt ${attempt}/${maxAttempts} failed (${error.message}), retrying in ${delayMs}ms`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+
+    if (render) {
+        try {
+            const { checked } = await verifyFile(destPath, render);
+            if (checked.length > 0) logger.info(`Verified render file ${checked.join(' + ')}`);
+        } catch (error) {
+            throw new Error(`Render file integrity check failed: ${error.message}`);
+        }
+    }
+
+    logger.info(`Successfully downloaded render file, size: ${size} bytes`);
+    return { path: destPath, size };
+}
+
+// Human-readable names of the render formats returned by detectRenderFormat
+const RENDER_FORMATS = {
+    tar: 'tar archive',
+    'tar.gz': 'gzip-compressed tar archive',
+    zip: 'zip archive',
+    pdf: 'PDF'
+};
+
+// Formats recognized by their magic bytes only to give a clear error
+const UNSUPPORTED_SIGNATURES = [
+    { name: 'bzip2 archive', bytes: Buffer.from('BZh') },
+    { name: 'xz archive', bytes: Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]) },
+    { name: 'zstd archive', bytes: Buffer.from([0x28, 0xb5, 0x2f, 0xfd]) },
+    { name: '7z archive', bytes: Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]) },
+    { name: 'rar archive', bytes: Buffer.from('Rar!') }
+];
+
+/**
+ * Reads up to `length` bytes from the start of a file.
+ * @param {string} filePath
+ * @param {number} length
+ * @returns {Promise<Buffer>}
+ */
+async function readFileStart(filePath, length) {
+    const handle = await fs.open(filePath, 'r');
     try {
-        logger.info(`Downloading tar file from: ${url}`);
-        const response = await axios.get(url, {
-            responseType: 'arraybuffer',
-            timeout: 120000 // 2 minute timeout for large tar files
-        });
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
 
-        const buffer = Buffer.from(response.data);
-        logger.info(`Successfully downloaded tar file, size: ${buffer.length} bytes`);
-        return buffer;
-    } catch (error) {
-        logger.error(`Failed to download tar file from ${url}:`, error.message);
-        throw new Error(`Tar file download failed: ${error.message}`);
+/**
+ * Tells whether a 512-byte block is a tar header: ustar magic, or a valid header checksum for old-style (v7) tars.
+ * An all-zero block (the end marker of an empty archive) also counts.
+ * @param {Buffer} block
+ * @returns {boolean}
+ */
+function isTarHeader(block) {
+    if (block.length < 512) return false;
+    if (block.toString('ascii', 257, 262) === 'ustar') return true;
+    if (block.subarray(0, 512).every(byte => byte === 0)) return true;
+
+    // The checksum is the byte sum of the header with the checksum field itself read as spaces
+    const stored = parseInt(block.toString('ascii', 148, 156).replace(/\0.*$/, '').trim(), 8);
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : block[i];
     }
+    return stored === sum;
 }
 
 /**
- * Extracts a tar buffer to a directory
- * @param {Buffer} tarBuffer - Tar file buffer
+ * Detects the format of a downloaded render file from its first bytes (the URL and Content-Type are not reliable).
+ * @param {string} filePath - Downloaded render file
+ * @returns {Promise<'tar'|'tar.gz'|'zip'|'pdf'>}
+ * @throws {Error} When the file is empty, corrupt or in a format that is not supported
+ */
+async function detectRenderFormat(filePath) {
+    const header = await readFileStart(filePath, 4096);
+    if (header.length === 0) {
+        throw new Error('Unsupported render format: the downloaded file is empty');
+    }
+
+    if (header[0] === 0x1f && header[1] === 0x8b) {
+        // Peek at the start of the decompressed stream: only gzip-compressed tars are supported
+        let inner;
+        try {
+            inner = zlib.gunzipSync(header, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        } catch (error) {
+            throw new Error(`Unsupported render format: corrupt gzip data (${error.message})`);
+        }
+        if (!isTarHeader(inner)) {
+            throw new Error('Unsupported render format: gzip-compressed file that is not a tar archive');
+        }
+        return 'tar.gz';
+    }
+
+    // Local file header, or the end-of-central-directory record of an empty archive
+    const zipSignature = header.length >= 4 ? header.readUInt32LE(0) : null;
+    if (zipSignature === 0x04034b50 || zipSignature === 0x06054b50) {
+        return 'zip';
+    }
+
+    if (isTarHeader(header)) return 'tar';
+
+    // PDF readers accept the header anywhere in the first 1024 bytes
+    if (header.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+
+    const unsupported = UNSUPPORTED_SIGNATURES.find(({ bytes }) => header.subarray(0, bytes.length).equals(bytes));
+    if (unsupported) {
+        throw new Error(`Unsupported render format: ${unsupported.name} (supported: ${Object.values(RENDER_FORMATS).join(', ')})`);
+    }
+    if (/^\s*</.test(header.toString('latin1', 0, 64))) {
+        throw new Error('Unsupported render format: the render URL returned an HTML/XML page instead of a file (expired or wrong URL?)');
+    }
+    throw new Error(`Unsupported render format: unrecognized file starting with ${header.subarray(0, 8).toString('hex')} (supported: ${Object.values(RENDER_FORMATS).join(', ')})`);
+}
+
+/**
+ * Returns why a tar entry is unsafe to extract, or null when it is fine.
+ * @param {Object} entry - tar ReadEntry
+ * @returns {string|null}
+ */
+function getUnsafeEntryReason(entry) {
+    const entryPath = entry.path || '';
+    if (path.isAbsolute(entryPath) || /^[a-zA-Z]:/.test(entryPath)) {
+        return 'absolute path';
+    }
+    if (entryPath.split(/[\\/]/).includes('..')) {
+        return 'path traversal';
+    }
+    if (entry.type === 'SymbolicLink' || entry.type === 'Link') {
+        return `${entry.type === 'Link' ? 'hard' : 'symbolic'} link`;
+    }
+    if (!['File', 'OldFile', 'ContiguousFile', 'Directory'].includes(entry.type)) {
+        return `unsupported entry type ${entry.type}`;
+    }
+    return null;
+}
+
+/**
+ * Extracts only the expected files from an untrusted tar archive.
+ * Each wanted file is written flat into extractDir under its own base name, so archive
+ * paths never decide where anything is written. The archive is rejected when it contains
+ * absolute or `..` paths, links, too many entries, or entries/totals over the size caps.
+ * @param {string} tarPath - Path of the tar file on disk
  * @param {string} extractDir - Directory to extract to
- * @returns {Promise<string>} Path to extracted directory
+ * @param {Array<string>} filenames - Base names of the files to extract (from render.files)
+ * @returns {Promise<Object<string, string>>} Map of filename -> extracted path (missing files are absent)
  */
-async function extractTar(tarBuffer, extractDir) {
-    try {
-        logger.info(`Extracting tar file to: ${extractDir}`);
+async function extractTar(tarPath, extractDir, filenames) {
+    const { maxArchiveEntries, maxEntryBytes, maxExtractBytes } = config.render;
+    const wanted = new Set(filenames);
+    const extracted = {};
+    const writes = [];
+    let entryCount = 0;
+    let totalBytes = 0;
+    let failure = null;
 
-        // Ensure extract directory exists
+    try {
+        logger.info(`Extracting ${filenames.join(', ')} from tar file to: ${extractDir}`);
         await fs.mkdir(extractDir, { recursive: true });
 
-        // Write tar buffer to temporary file
-        const tarPath = path.join(extractDir, 'temp.tar');
-        await fs.writeFile(tarPath, tarBuffer);
-
-        // Extract tar file
-        await tar.extract({
+        await tar.list({
             file: tarPath,
-            cwd: extractDir
+            onReadEntry: (entry) => {
+                // After a failure the rest of the archive is only skipped over
+                if (failure) return;
+
+                entryCount++;
+                if (entryCount > maxArchiveEntries) {
+                    failure = `archive has more than ${maxArchiveEntries} entries`;
+                    return;
+                }
+
+                const unsafe = getUnsafeEntryReason(entry);
+                if (unsafe) {
+                    failure = `unsafe entry "${entry.path}" (${unsafe})`;
+                    return;
+                }
+
+                const filename = path.basename(entry.path);
+                if (entry.type === 'Directory' || !wanted.has(filename)) return;
+
+                if (extracted[filename]) {
+                    failure = `archive contains "${filename}" more than once`;
+                    return;
+                }
+                if (entry.size > maxEntryBytes) {
+                    failure = `"${filename}" is ${entry.size} bytes, over the ${maxEntryBytes} byte entry limit`;
+                    return;
+                }
+                totalBytes += entry.size;
+                if (totalBytes > maxExtractBytes) {
+                    failure = `extracted files exceed the ${maxExtractBytes} byte total limit`;
+                    return;
+                }
+
+                const destPath = path.join(extractDir, filename);
+                extracted[filename] = destPath;
+                writes.push(pipeline(entry, fsSync.createWriteStream(destPath)));
+            }
         });
 
-        // Remove temporary tar file
-        await fs.unlink(tarPath);
+        await Promise.all(writes);
 
-        logger.info(`Successfully extracted tar file to: ${extractDir}`);
-        return extractDir;
+        if (failure) {
+            throw new Error(`Rejected tar archive: ${failure}`);
+        }
+
+        for (const filename of filenames.filter(name => !extracted[name])) {
+            logger.warn(`Expected file ${filename} not found in tar archive`);
+        }
+
+        logger.info(`Successfully extracted ${Object.keys(extracted).length} file(s) (${totalBytes} bytes) from ${entryCount} tar entries`);
+        return extracted;
     } catch (error) {
         logger.error(`Failed to extract tar file:`, error.message);
         throw new Error(`Tar extraction failed: ${error.message}`);
     }
 }
 
+/**
+ * Opens a zip archive for reading one entry at a time.
+ * @param {string} zipPath
+ * @returns {Promise<Object>} yauzl ZipFile
+ */
+function openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true }, (error, zipfile) => (error ? reject(error) : resolve(zipfile)));
+    });
+}
+
+/**
+ * Reads the next entry of a zip archive opened with openZip.
+ * @param {Object} zipfile - yauzl ZipFile
+ * @returns {Promise<Object|null>} yauzl Entry, or null after the last entry
+ */
+function readZipEntry(zipfile) {
+    return new Promise((resolve, reject) => {
+        const settle = (callback) => (value) => {
+            zipfile.removeListener('entry', onEntry);
+            zipfile.removeListener('end', onEnd);
+            zipfile.removeListener('error', onError);
+            callback(value);
+        };
+        const onEntry = settle(resolve);
+        const onEnd = settle(() => resolve(null));
+        const onError = settle(reject);
+        zipfile.on('entry', onEntry);
+        zipfile.on('end', onEnd);
+        zipfile.on('error', onError);
+        zipfile.readEntry();
+    });
+}
+
+/**
+ * Returns why a zip entry is unsafe to extract, or null when it is fine.
+ * Absolute and `..` paths never get here: yauzl rejects them while reading the entry.
+ * @param {Object} entry - yauzl Entry
+ * @returns {string|null}
+ */
+function getUnsafeZipEntryReason(entry) {
+    if (entry.isEncrypted()) {
+        return 'encrypted';
+    }
+    // Unix file type bits, present when the archive was made on a Unix system
+    const fileType = (entry.externalFileAttributes >>> 16) & 0o170000;
+    if (fileType === 0o120000) {
+        return 'symbolic link';
+    }
+    if (fileType !== 0 && fileType !== 0o100000 && fileType !== 0o040000) {
+        return `unsupported file type ${fileType.toString(8)}`;
+    }
+    return null;
+}
+
+/**
+ * Extracts only the expected files from an untrusted zip archive, with the same rules as extractTar:
+ * wanted files are written flat into extractDir under their base name, and the archive is rejected when
+ * it contains unsafe paths, links, encrypted entries, too many entries, or entries/totals over the size caps.
+ * @param {string} zipPath - Path of the zip file on disk
+ * @param {string} extractDir - Directory to extract to
+ * @param {Array<string>} filenames - Base names of the files to extract (from render.files)
+ * @returns {Promise<Object<string, string>>} Map of filename -> extracted path (missing files are absent)
+ */
+async function extractZip(zipPath, extractDir, filenames) {
+    const { maxArchiveEntries, maxEntryBytes, maxExtractBytes } = config.render;
+    const wanted = new Set(filenames);
+    const extracted = {};
+    let entryCount = 0;
+    let totalBytes = 0;
+    let zipfile = null;
+
+    const fail = (failure) => {
+        throw new Error(`Rejected zip archive: ${failure}`);
+    };
+
+    try {
+        logger.info(`Extracting ${filenames.join(', ')} from zip file to: ${extractDir}`);
+        await fs.mkdir(extractDir, { recursive: true });
+
+        zipfile = await openZip(zipPath);
+        // The entry count comes from the central directory, so this is known before reading anything
+        if (zipfile.entryCount > maxArchiveEntries) {
+            fail(`archive has more than ${maxArchiveEntries} entries`);
+        }
+
+        for (let entry = await readZipEntry(zipfile); entry; entry = await readZipEntry(zipfile)) {
+            entryCount++;
+
+            const unsafe = getUnsafeZipEntryReason(entry);
+            if (unsafe) {
+                fail(`unsafe entry "${entry.fileName}" (${unsafe})`);
+            }
+
+            const filename = path.posix.basename(entry.fileName);
+            if (entry.fileName.endsWith('/') || !wanted.has(filename)) continue;
+
+            if (extracted[filename]) {
+                fail(`archive contains "${filename}" more than once`);
+            }
+            if (entry.uncompressedSize > maxEntryBytes) {
+                fail(`"${filename}" is ${entry.uncompressedSize} bytes, over the ${maxEntryBytes} byte entry limit`);
+            }
+            totalBytes += entry.uncompressedSize;
+            if (totalBytes > maxExtractBytes) {
+                fail(`extracted files exceed the ${maxExtractBytes} byte total limit`);
+            }
+
+            // yauzl checks that the data really inflates to the declared size
+            const destPath = path.join(extractDir, filename);
+            const stream = await new Promise((resolve, reject) => {
+                zipfile.openReadStream(entry, (error, readStream) => (error ? reject(error) : resolve(readStream)));
+            });
+            await pipeline(stream, fsSync.createWriteStream(destPath));
+            extracted[filename] = destPath;
+        }
+
+        for (const filename of filenames.filter(name => !extracted[name])) {
+            logger.warn(`Expected file ${filename} not found in zip archive`);
+        }
+
+        logger.info(`Successfully extracted ${Object.keys(extracted).length} file(s) (${totalBytes} bytes) from ${entryCount} zip entries`);
+        return extracted;
+    } catch (error) {
+        logger.error(`Failed to extract zip file:`, error.message);
+        throw new Error(`Zip extraction failed: ${error.message}`);
+    } finally {
+        if (zipfile?.isOpen) zipfile.close();
+    }
+}
+
+/**
+ * Picks the render file a directly delivered PDF stands for: the only file in the merge recipe,
+ * or the one named by the render URL.
+ * @param {Array<string>} filenames - Base names of the files in the merge recipe
+ * @param {string} renderUrl
+ * @returns {string}
+ */
+function getDirectPdfFilename(filenames, renderUrl) {
+    if (filenames.length === 1) return filenames[0];
+
+    let urlFilename = null;
+    try {
+        urlFilename = decodeURIComponent(path.posix.basename(new URL(renderUrl).pathname));
+    } catch {
+        urlFilename = null;
+    }
+    if (filenames.includes(urlFilename)) return urlFilename;
+
+    throw new Error(`Render URL points at a single PDF, but the merge order needs ${filenames.length} files (${filenames.join(', ')}) and the URL names none of them`);
+}
+
+/**
+ * Extracts the wanted files from a downloaded render file of any supported format.
+ * Archives are deleted once extracted; a direct PDF is moved into extractDir as the render file it stands for.
+ * @param {string} renderPath - Downloaded render file
+ * @param {string} format - See detectRenderFormat
+ * @param {string} extractDir - Directory to extract to
+ * @param {Array<string>} filenames - Base names of the files to extract (from render.files)
+ * @param {string} renderUrl - Used to tell which file a direct PDF is
+ * @returns {Promise<Object<string, string>>} Map of filename -> extracted path (missing files are absent)
+ */
+async function extractRenderFiles(renderPath, format, extractDir, filenames, renderUrl) {
+    if (format === 'pdf') {
+        const filename = getDirectPdfFilename(filenames, renderUrl);
+        for (const missing of filenames.filter(name => name !== filename)) {
+            logger.warn(`Expected file ${missing} not delivered (render URL is a single PDF)`);
+        }
+        const destPath = path.join(extractDir, filename);
+        await fs.mkdir(extractDir, { recursive: true });
+        await fs.rename(renderPath, destPath);
+        logger.info(`Using the downloaded PDF as ${filename}`);
+        return { [filename]: destPath };
+    }
+
+    // tar.list detects and decompresses gzip by itself
+    const extracted = format === 'zip'
+        ? await extractZip(renderPath, extractDir, filenames)
+        : await extractTar(renderPath, extractDir, filenames);
+    await fs.unlink(renderPath);
+    return extracted;
+}
+
+/**
+ * Verifies extracted PDFs against the size / checksum Printbox lists for them in `render.files`.
+ * @param {Array<string|null>} filePaths - Extracted file paths (null entries are ignored)
+ * @param {Array} files - `render.files` from the Printbox webhook
+ */
+async function verifyRenderFiles(filePaths, files) {
+    for (const filePath of filePaths.filter(Boolean)) {
+        const descriptor = files.find(file => file.filename === path.basename(filePath));
+        try {
+            const { checked } = await verifyFile(filePath, descriptor);
+            if (checked.length > 0) logger.info(`Verified ${path.basename(filePath)} ${checked.join(' + ')}`);
+        } catch (error) {
+            throw new Error(`Render file integrity check failed: ${error.message}`);
+        }
+    }
+}
+
 /**
  * Recursively deletes a directory and its contents
  * @param {string} dirPath - Directory path to delete
@@ -92,145 +582,51 @@ async function deleteDirectory(dirPath) {
 }
 
 /**
- * Finds PDF files in an extracted directory
- * @param {string} extractDir - Directory where tar was extracted
+ * Assigns roles (cover, pages, endpaper, ...) to the Printbox render files and orders them by the merge recipe.
+ * Files without a role, or with a role outside the recipe, are logged and returned in `notMerged`.
  * @param {Array} files - Array of file objects from Printbox webhook (for filenames)
- * @returns {Object} Object with paths to cover and pages PDFs
+ * @param {{name: string, roles: Array, mergeOrder: Array<string>}} rule - Role rule for the project's family (see renderRoleService)
+ * @returns {{merge: Array<{filename: string, role: string}>, notMerged: Array<{filename: string, role: string|null}>}}
  */
-function findPDFsInDirectory(extractDir, files) {
+function identifyRenderFiles(files, rule) {
     if (!Array.isArray(files) || files.length === 0) {
         throw new Error('No files found in render data');
     }
 
-    let coverFilename = null;
-    let pagesFilename = null;
-
-    // Identify filenames from files array
-    for (const file of files) {
-        const filename = file.filename?.toLowerCase() || '';
-
-        // Check for cover PDF
-        if (filename.includes('_cover.pdf') || filename.includes('cover.pdf') || filename.endsWith('cover.pdf')) {
-            coverFilename = file.filename; // Use original case
-            logger.info(`Found cover PDF filename: ${coverFilename}`);
-        }
-
-        // Check for pages PDF
-        if (filename.includes('_pages.pdf') || filename.includes('pages.pdf') || filename.endsWith('pages.pdf')) {
-            pagesFilename = file.filename; // Use original case
-            logger.info(`Found pages PDF filename: ${pagesFilename}`);
-        }
-    }
-
-    if (!coverFilename && !pagesFilename) {
-        throw new Error('Neither cover nor pages PDF found in files array');
-    }
-
-    // Search for PDFs in extracted directory (may be in subdirectory)
-    const findPDFPath = (filename) => {
-        // Try direct path first
-        const directPath = path.join(extractDir, filename);
-        if (fsSync.existsSync(directPath)) {
-            return directPath;
-        }
-
-        // Search recursively in subdirectories
-        const searchDir = (dir) => {
-            try {
-                const entries = fsSync.readdirSync(dir, { withFileTypes: true });
-                for (const entry of entries) {
-                    const fullPath = path.join(dir, entry.name);
-                    if (entry.isDirectory()) {
-                        const found = searchDir(fullPath);
-                        if (found) return found;
-                    } else if (entry.name === filename) {
-                        return fullPath;
-                    }
-                }
-            } catch (error) {
-                // Ignore errors and continue searching
-            }
-            return null;
-        };
+    const { merge, notMerged } = renderRoleService.assignRoles(files, rule);
 
-        return searchDir(extractDir);
-    };
-
-    const coverPath = coverFilename ? findPDFPath(coverFilename) : null;
-    const pagesPath = pagesFilename ? findPDFPath(pagesFilename) : null;
+    merge.forEach(({ filename, role }) => logger.info(`Found ${role} PDF filename: ${filename}`));
+    notMerged.forEach(({ filename, role }) => {
+        logger.warn(role
+            ? `Render file ${filename} has role "${role}", which is not in the merge order of "${rule.name}"`
+            : `Render file ${filename} matches no role of "${rule.name}"`);
+    });
 
-    if (!coverPath && !pagesPath) {
-        throw new Error('Could not find PDF files in extracted directory');
+    if (merge.length === 0) {
+        throw new Error(`No render file matches the merge order of "${rule.name}" (${rule.mergeOrder.join(', ')})`);
     }
 
-    if (coverPath) logger.info(`Found cover PDF at: ${coverPath}`);
-    if (pagesPath) logger.info(`Found pages PDF at: ${pagesPath}`);
-
-    return { coverPath, pagesPath };
+    return { merge, notMerged };
 }
 
-
 /**
- * Merges cover and pages PDFs into a single PDF
- * @param {Buffer} coverBuffer - Cover PDF buffer (optional)
- * @param {Buffer} pagesBuffer - Pages PDF buffer (optional)
- * @returns {Promise<Buffer>} Merged PDF buffer
+ * Builds a single order-level PDF (in a PDF worker thread): for each project a separator page followed by its
+ * merged document, with outline bookmarks per project (job ticket and one per role) and document metadata naming the order.
+ * @param {string} orderNumber - Order reference
+ * @param {Array<{orderLabel: string, projectIndex: number, pdfPath: string, isMagazine: boolean, quantity: number,
+ *     pageCount: number|null, pageLayout: {ticketPages: number, sections: Array<{role: string, pages: number}>}}>} projects
+ *     Processed projects, in order (pageLayout from processProjectPDFs)
+ * @param {number} projectCount - Number of projects in the order
+ * @returns {Promise<Buffer>} Combined PDF
  */
-async function mergePDFs(coverBuffer, pagesBuffer) {
+async function createCombinedOrderPDF(orderNumber, projects, projectCount) {
     try {
-        logger.info('Starting PDF merge process');
-        const mergedPdf = await PDFDocument.create();
-
-        // Add cover PDF if available
-        if (coverBuffer) {
-            logger.info('Adding cover PDF to merged document');
-            const coverPdf = await PDFDocument.load(coverBuffer);
-            const coverPages = await mergedPdf.copyPages(coverPdf, coverPdf.getPageIndices());
-            coverPages.forEach((page) => mergedPdf.addPage(page));
-        }
-
-        // Add pages PDF if available
-        if (pagesBuffer) {
-            logger.info('Adding pages PDF to merged document');
-            const pagesPdf = await PDFDocument.load(pagesBuffer);
-            const pagesPages = await pagesPdf.getPageIndices();
-            const copiedPages = await mergedPdf.copyPages(pagesPdf, pagesPages);
-            copiedPages.forEach((page) => mergedPdf.addPage(page));
-        }
-
-        // If only one PDF is available, use it directly
-        if (!coverBuffer && pagesBuffer) {
-            logger.info('Only pages PDF available, using it directly');
-            return pagesBuffer;
-        }
-
-        if (coverBuffer && !pagesBuffer) {
-            logger.info('Only cover PDF available, using it directly');
-            return coverBuffer;
-        }
-
-        const mergedBytes = await mergedPdf.save();
-        logger.info(`PDF merge completed, merged size: ${mergedBytes.length} bytes`);
-        return Buffer.from(mergedBytes);
+        const { bytes, pageCount } = await pdfWorkerPool.run('combine', { orderNumber, projectCount, projects });
+        logger.info(`Combined order PDF for ${orderNumber}: ${projects.length} project(s), ${pageCount} pages, size: ${bytes.length} bytes`);
+        return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
     } catch (error) {
-        logger.error('Failed to merge PDFs:', error.message);
-        throw new Error(`PDF merge failed: ${error.message}`);
-    }
-}
-
-/**
- * Returns the page count for a PDF buffer
- * @param {Buffer} pdfBuffer
- * @returns {Promise<number|null>}
- */
-async function getPdfPageCount(pdfBuffer) {
-    if (!pdfBuffer) return null;
-    try {
-        const doc = await PDFDocument.load(pdfBuffer);
-        return doc.getPageCount();
-    } catch (error) {
-        logger.warn(`Failed to read PDF page count: ${error.message}`);
-        return null;
+        logger.error('Failed to build combined order PDF:', error.message);
+        throw new Error(`Combined order PDF failed: ${error.message}`);
     }
 }
 
@@ -240,9 +636,10 @@ async function getPdfPageCount(pdfBuffer) {
  * @param {string} orderId - Order ID to use as filename
  * @param {number} projectIndex - Optional project index for multiple projects (1-based)
  * @param {boolean} isMagazine - Whether to add MAGAZINE suffix
+ * @param {string|null} variant - Optional extra suffix for derived files (e.g. IMPOSED)
  * @returns {Promise<string>} Path to saved PDF file
  */
-async function savePDF(buffer, orderId, projectIndex = null, isMagazine = false) {
+async function savePDF(buffer, orderId, projectIndex = null, isMagazine = false, variant = null) {
     try {
         // Ensure temp directory exists
         const tempDir = config.tempDir;
@@ -253,7 +650,8 @@ async function savePDF(buffer, orderId, projectIndex = null, isMagazine = false)
         const indexSuffix = projectIndex !== null ? `-${projectIndex}` : '';
         // Add MAGAZINE suffix if applicable
         const magazineSuffix = isMagazine ? ' MAGAZINE' : '';
-        const filename = `${orderId}${indexSuffix}${magazineSuffix}.pdf`;
+        const variantSuffix = variant ? ` ${variant}` : '';
+        const filename = `${orderId}${indexSuffix}${magazineSuffix}${variantSuffix}.pdf`;
         const filePath = path.join(tempDir, filename);
 
         await fs.writeFile(filePath, buffer);
@@ -281,14 +679,27 @@ async function deletePDF(filePath) {
 }
 
 /**
- * Processes a project: downloads tar, extracts it, reads PDFs, merges them, and saves the result
+ * Processes a project: downloads the render (tar, tar.gz, zip or a single PDF), extracts it, reads PDFs,
+ * merges them by the family's role recipe, and saves the result
  * @param {Object} project - Project object from Printbox webhook
  * @param {string} orderId - Order ID
  * @param {number} projectIndex - Optional project index for multiple projects (1-based)
  * @param {boolean} isMagazine - Whether to add MAGAZINE suffix to filename
- * @returns {Promise<{pdfPath: string, pageCount: number|null}>} Path to merged PDF + page count from pages PDF only
+ * @param {Object=} options
+ * @param {function({pageCount: number|null}): Promise<Object|null>=} options.jobTicket - Returns the job ticket fields
+ *     (see addJobTicket in workers/pdfWorker.js) once the page count is known; the ticket page is then put in front of the merged PDF
+ * @param {number|null=} options.familyId - Printbox family ID, for the render roles, preflight page-count rules and product spec
+ * @param {{orderReference: string, projectIndex: number}|null=} options.slugLine - Stamp a slug line on every merged page
+ *     (see stampSlugLines in workers/pdfWorker.js), positioned per config.slugLine
+ * @returns {Promise<{pdfPath: string, pageCount: number|null, imposedPdfPath: string|null, preflight: Object|null,
+ *     pageLayout: {ticketPages: number, sections: Array<{role: string, pages: number}>},
+ *     renderFiles: {merged: Array<{filename: string, role: string}>, notMerged: Array<{filename: string, role: string|null}>}}>}
+ *     Path to merged PDF, page count from the pages role only, path to the saddle-stitch imposed PDF (magazines only,
+ *     when enabled), the preflight result (see preflightService.runPreflight, null when disabled), the page layout of
+ *     the merged PDF (job ticket, then one section per role) and which render files were merged or left out
+ * @throws {Error} With `preflight` set when preflight finds errors and config.preflight.blockOnError is on
  */
-async function processProjectPDFs(project, orderId, projectIndex = null, isMagazine = false) {
+async function processProjectPDFs(project, orderId, projectIndex = null, isMagazine = false, options = {}) {
     const renderUrl = project.render?.url || null;
     const files = project.render?.files || [];
 
@@ -300,63 +711,152 @@ async function processProjectPDFs(project, orderId, projectIndex = null, isMagaz
         throw new Error('No files found in render data');
     }
 
-    // Create unique extract directory for this project
-    const extractDir = path.join(config.tempDir, `extract_${project.id}_${Date.now()}`);
-    let coverBuffer = null;
-    let pagesBuffer = null;
-    let pageCount = null;
+    // Create unique work directory for this project (downloaded render + extracted files)
+    const workDir = path.join(config.tempDir, `extract_${project.id}_${Date.now()}`);
+    const renderPath = path.join(workDir, 'render');
+    const extractDir = path.join(workDir, 'files');
 
     try {
-        // Step 1: Download tar file
-        const tarBuffer = await downloadTar(renderUrl);
-
-        // Step 2: Extract tar file
-        await extractTar(tarBuffer, extractDir);
+        // Step 1: Download render file (streamed to disk, size-limited, resumable)
+        await downloadRender(renderUrl, renderPath, project.render);
+
+        // Step 2: Detect the delivery format, then extract only the files in the family's merge recipe
+        const format = await detectRenderFormat(renderPath);
+        logger.info(`Render for project ${project.id} is a ${RENDER_FORMATS[format]}`);
+        const roleRule = await renderRoleService.getRoleRule(options.familyId ?? null);
+        const { merge, notMerged } = identifyRenderFiles(files, roleRule);
+        const extracted = await extractRenderFiles(renderPath, format, extractDir, merge.map(part => part.filename), renderUrl);
+
+        const parts = merge
+            .filter(part => extracted[part.filename])
+            .map(part => ({ ...part, path: extracted[part.filename] }));
+        if (parts.length === 0) {
+            throw new Error(`Could not find PDF files in the ${RENDER_FORMATS[format]}`);
+        }
 
-        // Step 3: Find PDF files in extracted directory
-        const { coverPath, pagesPath } = findPDFsInDirectory(extractDir, files);
+        // Step 3: Check the extracted PDFs against render.files
+        await verifyRenderFiles(parts.map(part => part.path), files);
+
+        // Step 4: One pass in a PDF worker, which reads and parses each render PDF once: preflight inspection,
+        // merge in recipe order, page boxes normalized to the family's product spec, slug lines, saddle-stitch
+        // imposition (magazines, without the ticket) and the job ticket in front. The worker asks back here for
+        // the preflight verdict and the ticket fields
+        const productSpec = await productService.getProductSpec(options.familyId ?? null);
+        const imposition = isMagazine && config.imposition.enabled
+            ? { sheetSize: config.imposition.sheetSize, creepMm: config.imposition.creepMm }
+            : null;
+        const pagesPageCount = pageCounts => parts.reduce((sum, part, i) => (part.role === 'pages' ? sum + pageCounts[i] : sum), 0);
+        const hasPages = parts.some(part => part.role === 'pages');
+
+        let preflight = null;
+        const onRequest = async (request) => {
+            if (request.type === 'preflight') {
+                preflight = await preflightService.runPreflight({
+                    cover: request.cover,
+                    pages: request.pages,
+                    familyId: options.familyId,
+                    expectedRoles: roleRule.mergeOrder,
+                    otherParts: request.otherParts,
+                    notMerged
+                });
+                for (const issue of [...preflight.errors, ...preflight.warnings]) {
+                    logger.warn(`Preflight ${project.id}: ${issue.message}`);
+                }
+                return { proceed: preflight.passed || !config.preflight.blockOnError };
+            }
+            if (request.type === 'jobTicket') {
+                return options.jobTicket({ pageCount: hasPages ? pagesPageCount(request.pageCounts) : null });
+            }
+            throw new Error(`Unknown PDF worker request "${request.type}"`);
+        };
 
-        // Step 4: Read PDF files
-        if (coverPath) {
-            coverBuffer = await fs.readFile(coverPath);
-            logger.info(`Read cover PDF, size: ${coverBuffer.length} bytes`);
+        if (parts.length === 1) {
+            logger.info('Only one PDF available, using it directly');
+        } else {
+            logger.info(`Starting PDF merge process (${parts.length} documents)`);
+        }
+        const built = await pdfWorkerPool.run('buildProject', {
+            parts: parts.map(({ filename, role, path: partPath }) => ({ filename, role, path: partPath })),
+            preflight: config.preflight.enabled,
+            productSpec,
+            slugLine: options.slugLine ? { ...options.slugLine, position: config.slugLine.position, fontSize: config.slugLine.fontSize } : null,
+            imposition,
+            jobTicket: Boolean(options.jobTicket)
+        }, [], onRequest);
+
+        if (built.blocked) {
+            const error = new Error(`Preflight failed: ${preflight.errors.map(e => e.message).join('; ')}`);
+            error.preflight = preflight;
+            throw error;
         }
 
-        if (pagesPath) {
-            pagesBuffer = await fs.readFile(pagesPath);
-            logger.info(`Read pages PDF, size: ${pagesBuffer.length} bytes`);
-            pageCount = await getPdfPageCount(pagesBuffer);
-            if (pageCount !== null) {
-                logger.info(`Pages PDF page count: ${pageCount}`);
+        // One section per role (parts of a role are consecutive in recipe order)
+        const sections = [];
+        parts.forEach((part, i) => {
+            const last = sections[sections.length - 1];
+            if (last && last.role === part.role) {
+                last.pages += built.pageCounts[i];
+            } else {
+                sections.push({ role: part.role, pages: built.pageCounts[i] });
             }
-        }
+        });
 
-        if (!coverBuffer && !pagesBuffer) {
-            throw new Error('Could not read any PDF files from extracted directory');
+        const bookPages = built.pageCounts.reduce((sum, count) => sum + count, 0);
+        if (parts.length > 1) logger.info(`PDF merge completed, pages: ${bookPages}`);
+        const pageCount = hasPages ? pagesPageCount(built.pageCounts) : null;
+        if (pageCount !== null) {
+            logger.info(`Pages PDF page count: ${pageCount}`);
+        }
+        if (productSpec) {
+            logger.info(`Normalized page boxes for project ${project.id} to ${productSpec.name} (${productSpec.trimWidthMm}x${productSpec.trimHeightMm}mm, bleed ${productSpec.bleedMm}mm): ${built.fixups.length} fix-up(s)`);
+            built.fixups.forEach(fixup => logger.info(`Page boxes ${project.id}: ${fixup}`));
+        }
+        if (options.slugLine) {
+            logger.info(`Stamped slug lines on ${bookPages} pages for ${options.slugLine.orderReference}-${options.slugLine.projectIndex}`);
+        }
+        if (built.ticketPages > 0) {
+            logger.info(`Added job ticket for project ${project.id}`);
         }
 
-        // Step 5: Merge PDFs
-        const mergedBuffer = await mergePDFs(coverBuffer, pagesBuffer);
+        // Step 5: Save merged PDF with project index suffix and MAGAZINE suffix if applicable
+        const outputBuffer = Buffer.from(built.bytes.buffer, built.bytes.byteOffset, built.bytes.byteLength);
+        const filePath = await savePDF(outputBuffer, orderId, projectIndex, isMagazine);
 
-        // Step 6: Save merged PDF with project index suffix and MAGAZINE suffix if applicable
-        const filePath = await savePDF(mergedBuffer, orderId, projectIndex, isMagazine);
+        // Step 6: Saddle-stitch print-ready version for magazines, delivered next to the reading-order PDF
+        let imposedPdfPath = null;
+        if (built.imposedBytes) {
+            const { imposedBytes } = built;
+            logger.info(`Saddle-stitch imposition on ${imposition.sheetSize} (creep ${imposition.creepMm}mm/sheet) completed: ${bookPages} pages on ${built.imposedPages} sheet sides, size: ${imposedBytes.length} bytes`);
+            imposedPdfPath = await savePDF(Buffer.from(imposedBytes.buffer, imposedBytes.byteOffset, imposedBytes.byteLength), orderId, projectIndex, isMagazine, 'IMPOSED');
+        }
 
-        return { pdfPath: filePath, pageCount };
+        const pageLayout = {
+            ticketPages: built.ticketPages,
+            sections
+        };
+        const renderFiles = {
+            merged: parts.map(({ filename, role }) => ({ filename, role })),
+            notMerged
+        };
+        return { pdfPath: filePath, pageCount, imposedPdfPath, preflight, pageLayout, renderFiles };
     } catch (error) {
         logger.error(`Error processing PDFs for project ${project.id}:`, error.message);
         throw error;
     } finally {
-        // Step 7: Cleanup extracted directory
-        await deleteDirectory(extractDir);
+        // Step 7: Cleanup downloaded render and extracted directory
+        await deleteDirectory(workDir);
     }
 }
 
 module.exports = {
-    downloadTar,
+    downloadRender,
+    detectRenderFormat,
     extractTar,
-    findPDFsInDirectory,
-    mergePDFs,
-    getPdfPageCount,
+    extractZip,
+    extractRenderFiles,
+    verifyRenderFiles,
+    identifyRenderFiles,
+    createCombinedOrderPDF,
     savePDF,
     deletePDF,
     deleteDirectory,
@@ -0,0 +1,217 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson } = require('../utils/jsonStore');
+const { matchesRule, validateCondition } = require('../utils/ruleMatcher');
+
+// Built-in page-count rules, used when no preflight file exists
+const DEFAULT_RULES = {
+    pageCountRules: [
+        // Saddle-stitched: cover + pages must fold into whole sheets
+        { name: 'magazine', match: { family_id: 296 }, count: 'total', multipleOf: 4, severity: 'error' },
+        // Printed double-sided: an odd page count ends on a blank page
+        { name: 'book', count: 'pages', multipleOf: 2, severity: 'warning' }
+    ]
+};
+
+const SEVERITIES = ['warning', 'error'];
+const COUNT_TARGETS = ['pages', 'total'];
+
+// Page sizes within this many points (about 0.5 mm) are treated as equal
+const SIZE_TOLERANCE_PT = 1.5;
+
+/**
+ * Validates preflight rules, throwing an error describing the first problem found.
+ * @param {Object} rules - `{pageCountRules: [...]}`
+ * @returns {Object} The same rules
+ */
+function validateRules(rules) {
+    const fail = (message) => {
+        throw new Error(`Invalid preflight rules: ${message}`);
+    };
+
+    if (!rules || typeof rules !== 'object' || !Array.isArray(rules.pageCountRules)) {
+        fail('expected an object with a "pageCountRules" list');
+    }
+
+    rules.pageCountRules.forEach((rule, i) => {
+        const label = `rule ${i + 1}${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') fail(`${label} must be an object`);
+
+        if (rule.match !== undefined) {
+            if (typeof rule.match !== 'object' || Array.isArray(rule.match)) fail(`${label}: "match" must be an object`);
+            for (const [key, condition] of Object.entries(rule.match)) {
+                if (key !== 'family_id') fail(`${label}: unknown match key "${key}" (allowed: family_id)`);
+                const error = validateCondition(condition);
+                if (error) fail(`${label}: match.${key} ${error}`);
+            }
+        }
+
+        for (const key of ['multipleOf', 'min', 'max']) {
+            if (rule[key] !== undefined && (!Number.isInteger(rule[key]) || rule[key] < 1)) {
+                fail(`${label}: "${key}" must be a positive integer`);
+            }
+        }
+        if (rule.count !== undefined && !COUNT_TARGETS.includes(rule.count)) {
+            fail(`${label}: "count" must be one of ${COUNT_TARGETS.join(', ')}`);
+        }
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            fail(`${label}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+        }
+    });
+
+    return rules;
+}
+
+/**
+ * Loads the preflight rules file, falling back to the built-in rules when it is missing or invalid.
+ * @returns {Promise<Object>}
+ */
+async function getRules() {
+    try {
+        const rules = await readJson(config.preflightRulesPath, null);
+        return rules ? validateRules(rules) : DEFAULT_RULES;
+    } catch (error) {
+        logger.error(`Failed to load preflight rules from ${config.preflightRulesPath}, using built-in rules: ${error.message}`);
+        return DEFAULT_RULES;
+    }
+}
+
+/**
+ * Reports an encrypted or unreadable PDF as an issue.
+ * @param {{encrypted: boolean, error: string|null}} document - See runPreflight
+ * @param {string} label - e.g. "Cover PDF" or "Pages PDF"
+ * @param {function(string, string, string): void} report
+ * @returns {boolean} Whether the document could be inspected
+ */
+function checkReadable(document, label, report) {
+    if (document.error) {
+        report('error', 'unreadable', `${label} could not be read: ${document.error}`);
+        return false;
+    }
+    if (document.encrypted) {
+        report('error', 'encrypted', `${label} is encrypted`);
+        return false;
+    }
+    return true;
+}
+
+function sameSize(a, b) {
+    return Math.abs(a.width - b.width) <= SIZE_TOLERANCE_PT && Math.abs(a.height - b.height) <= SIZE_TOLERANCE_PT;
+}
+
+function formatSize({ width, height }) {
+    return `${Math.round(width * 25.4 / 72)}x${Math.round(height * 25.4 / 72)}mm`;
+}
+
+/**
+ * Inspects the rendered PDFs before they are merged, from the facts the PDF worker collected while parsing them.
+ * Checks that the cover and pages files exist (when the merge recipe expects them) and that every file is readable
+ * (not encrypted), that all pages share one size and orientation, that the cover height matches the page block
+ * (and its width fits a single page or a spread), and the first page-count rule matching the project's family.
+ * Render files left out of the merge are reported as warnings.
+ * A document is `{encrypted, error, pageSizes}`: whether it is encrypted, why it could not be parsed (null when it
+ * could) and the displayed size of each page in points. A role split over several files is one document.
+ * @param {Object} input
+ * @param {Object|null} input.cover - Cover role PDF
+ * @param {Object|null} input.pages - Pages role PDF
+ * @param {number|null=} input.familyId
+ * @param {Array<string>=} input.expectedRoles - Roles in the merge recipe (default cover and pages)
+ * @param {Array<Object>=} input.otherParts - Other merged files (endpapers, inserts, ...), documents with `filename` and `role`
+ * @param {Array<{filename: string, role: string|null}>=} input.notMerged - Render files without a role or outside the recipe
+ * @returns {Promise<{passed: boolean, warnings: Array<{code: string, message: string}>, errors: Array<{code: string, message: string}>}>}
+ *     passed is false when there is at least one error
+ */
+async function runPreflight({
+    cover,
+    pages,
+    familyId = null,
+    expectedRoles = ['cover', 'pages'],
+    otherParts = [],
+    notMerged = []
+}) {
+    const warnings = [];
+    const errors = [];
+    const report = (severity, code, message) => {
+        (severity === 'error' ? errors : warnings).push({ code, message });
+    };
+
+    if (!cover && expectedRoles.includes('cover')) report('error', 'missing-cover', 'Cover PDF is missing');
+    if (!pages && expectedRoles.includes('pages')) report('error', 'missing-pages', 'Pages PDF is missing');
+
+    const coverSizes = cover && checkReadable(cover, 'Cover PDF', report) ? cover.pageSizes : null;
+    const pageSizes = pages && checkReadable(pages, 'Pages PDF', report) ? pages.pageSizes : null;
+    for (const part of otherParts) {
+        checkReadable(part, `${part.role} PDF ${part.filename}`, report);
+    }
+
+    for (const { filename, role } of notMerged) {
+        report('warning', 'unmerged-file', role
+            ? `Render file ${filename} (${role}) is not in the merge order and was not merged`
+            : `Render file ${filename} has no known role and was not merged`);
+    }
+
+    let pageSize = null;
+    if (pageSizes) {
+        if (pageSizes.length === 0) {
+            report('error', 'no-pages', 'Pages PDF has no pages');
+        } else {
+            pageSize = pageSizes[0];
+            const mismatched = pageSizes.filter(size => !sameSize(size, pageSize)).length;
+            if (mismatched > 0) {
+                report('warning', 'inconsistent-page-size', `${mismatched} page(s) differ from the first page size ${formatSize(pageSize)}`);
+            }
+            const landscape = pageSizes.filter(size => size.width > size.height).length;
+            if (landscape > 0 && landscape < pageSizes.length) {
+                report('warning', 'mixed-orientation', `${landscape} of ${pageSizes.length} pages are landscape`);
+            }
+        }
+    }
+
+    if (coverSizes && pageSize) {
+        for (const [index, coverSize] of coverSizes.entries()) {
+            const label = coverSizes.length > 1 ? `Cover page ${index + 1}` : 'Cover';
+            // A cover is either one page the size of the block, or a spread (back + spine + front) at least twice as wide
+            const heightMatches = Math.abs(coverSize.height - pageSize.height) <= SIZE_TOLERANCE_PT;
+            const widthMatches = Math.abs(coverSize.width - pageSize.width) <= SIZE_TOLERANCE_PT
+                || coverSize.width >= 2 * pageSize.width - SIZE_TOLERANCE_PT;
+            if (!heightMatches || !widthMatches) {
+                report('warning', 'cover-size-mismatch',
+                    `${label} size ${formatSize(coverSize)} does not match the page block ${formatSize(pageSize)}`);
+            }
+        }
+    }
+
+    if (pageSizes) {
+        const { pageCountRules } = await getRules();
+        const pageCount = pageSizes.length;
+        const total = pageCount + (coverSizes ? coverSizes.length : 0);
+
+        // First matching rule wins, like the pricing rules
+        const rule = pageCountRules.find(r => matchesRule(r.match, { family_id: familyId }));
+        if (rule) {
+            const target = rule.count || 'pages';
+            const count = target === 'total' ? total : pageCount;
+            const what = target === 'total' ? 'Total page count (cover + pages)' : 'Page count';
+            const severity = rule.severity || 'warning';
+
+            if (rule.multipleOf && count % rule.multipleOf !== 0) {
+                report(severity, 'page-count', `${what} ${count} is not a multiple of ${rule.multipleOf}`);
+            }
+            if (rule.min && count < rule.min) {
+                report(severity, 'page-count', `${what} ${count} is below the minimum of ${rule.min}`);
+            }
+            if (rule.max && count > rule.max) {
+                report(severity, 'page-count', `${what} ${count} is above the maximum of ${rule.max}`);
+            }
+        }
+    }
+
+    return { passed: errors.length === 0, warnings, errors };
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    validateRules,
+    getRules,
+    runPreflight
+};
@@ -0,0 +1,183 @@
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { matchesRule, validateCondition } = require('../utils/ruleMatcher');
+
+// Built-in rules, used when no pricing file exists (matches the original hard-coded prices)
+const DEFAULT_RULE_SET = {
+    currency: 'EGP',
+    rules: [
+        { name: 'magazine', match: { family_id: 296 }, basePrice: 20, perPage: 10 },
+        { name: 'book-24-pages', match: { pages: 24 }, basePrice: 450 },
+        { name: 'book', basePrice: 350, perPage: 6 }
+    ]
+};
+
+const MATCH_KEYS = ['family_id', 'pages', 'quantity'];
+const PRICE_KEYS = ['basePrice', 'perPage', 'minimum'];
+
+let cached = null; // { ruleSet, mtimeMs, source }
+
+/**
+ * Validates a rule set, throwing an error (status 400) describing the first problem found.
+ * @param {Object} ruleSet - `{currency?, rules: [...]}`
+ * @returns {Object} The same rule set
+ */
+function validateRuleSet(ruleSet) {
+    const fail = (message) => {
+        const error = new Error(`Invalid pricing rules: ${message}`);
+        error.status = 400;
+        throw error;
+    };
+
+    if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+        fail('expected an object with a non-empty "rules" list');
+    }
+
+    ruleSet.rules.forEach((rule, i) => {
+        const label = `rule ${i + 1}${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') fail(`${label} must be an object`);
+
+        if (rule.match !== undefined) {
+            if (typeof rule.match !== 'object' || Array.isArray(rule.match)) fail(`${label}: "match" must be an object`);
+            for (const [key, condition] of Object.entries(rule.match)) {
+                if (!MATCH_KEYS.includes(key)) fail(`${label}: unknown match key "${key}" (allowed: ${MATCH_KEYS.join(', ')})`);
+                const error = validateCondition(condition);
+                if (error) fail(`${label}: match.${key} ${error}`);
+            }
+        }
+
+        if (rule.basePrice === undefined && rule.perPage === undefined) {
+            fail(`${label}: needs "basePrice" and/or "perPage"`);
+        }
+        for (const key of PRICE_KEYS) {
+            if (rule[key] !== undefined && (typeof rule[key] !== 'number' || rule[key] < 0)) {
+                fail(`${label}: "${key}" must be a non-negative number`);
+            }
+        }
+
+        if (rule.quantityDiscounts !== undefined) {
+            if (!Array.isArray(rule.quantityDiscounts)) fail(`${label}: "quantityDiscounts" must be a list`);
+            rule.quantityDiscounts.forEach((discount, j) => {
+                if (!Number.isInteger(discount?.minQuantity) || discount.minQuantity < 1) {
+                    fail(`${label}: quantityDiscounts[${j}].minQuantity must be a positive integer`);
+                }
+                if (typeof discount.percent !== 'number' || discount.percent < 0 || discount.percent > 100) {
+                    fail(`${label}: quantityDiscounts[${j}].percent must be between 0 and 100`);
+                }
+            });
+        }
+    });
+
+    return ruleSet;
+}
+
+/**
+ * Parses a rule file's content as JSON or YAML depending on its extension.
+ * @param {string} content
+ * @param {string} filePath
+ * @returns {Object}
+ */
+function parseRuleFile(content, filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    return ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+}
+
+/**
+ * Returns the active rule set. The pricing file is re-read whenever it changes on disk,
+ * so prices can be updated without a deploy. An invalid file keeps the last good rules.
+ * @returns {Promise<{ruleSet: Object, source: string}>}
+ */
+async function getRuleSet() {
+    const filePath = config.pricingRulesPath;
+
+    let stats;
+    try {
+        stats = await fs.stat(filePath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        if (cached?.source !== 'default') {
+            logger.info(`Pricing file ${filePath} not found, using built-in pricing rules`);
+            cached = { ruleSet: DEFAULT_RULE_SET, mtimeMs: null, source: 'default' };
+        }
+        return cached;
+    }
+
+    if (cached && cached.source === filePath && cached.mtimeMs === stats.mtimeMs) {
+        return cached;
+    }
+
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        const ruleSet = validateRuleSet(parseRuleFile(content, filePath));
+        cached = { ruleSet, mtimeMs: stats.mtimeMs, source: filePath };
+        logger.info(`Loaded ${ruleSet.rules.length} pricing rule(s) from ${filePath}`);
+    } catch (error) {
+        if (!cached) throw new Error(`Failed to load pricing rules from ${filePath}: ${error.message}`);
+        logger.error(`Failed to reload pricing rules from ${filePath}, keeping previous rules: ${error.message}`);
+    }
+
+    return cached;
+}
+
+/**
+ * Prices a single project against a rule set. The first matching rule wins.
+ * @param {Object} ruleSet - Validated rule set
+ * @param {{familyId?: number|null, pageCount?: number|null, quantity?: number}} item
+ * @returns {{rule: string|null, unitPrice: number, quantity: number, discountPercent: number, orderValue: number, currency: string}}
+ */
+function quoteWithRules(ruleSet, { familyId = null, pageCount = null, quantity = 1 }) {
+    const pages = typeof pageCount === 'number' ? pageCount : 0;
+    const qty = Number.isInteger(quantity) && quantity > 0 ? quantity : 1;
+    const facts = { family_id: familyId, pages, quantity: qty };
+
+    const ruleIndex = ruleSet.rules.findIndex(rule => matchesRule(rule.match, facts));
+    if (ruleIndex === -1) {
+        const error = new Error(`No pricing rule matches family ${familyId}, ${pages} pages, quantity ${qty}`);
+        error.status = 422;
+        throw error;
+    }
+    const rule = ruleSet.rules[ruleIndex];
+
+    let unitPrice = (rule.basePrice || 0) + (rule.perPage || 0) * pages;
+    if (typeof rule.minimum === 'number') {
+        unitPrice = Math.max(unitPrice, rule.minimum);
+    }
+
+    // Highest quantity break reached applies
+    const discount = (rule.quantityDiscounts || [])
+        .filter(d => qty >= d.minQuantity)
+        .sort((a, b) => b.minQuantity - a.minQuantity)[0];
+    const discountPercent = discount ? discount.percent : 0;
+
+    const orderValue = Math.round(unitPrice * qty * (100 - discountPercent)) / 100;
+
+    return {
+        rule: rule.name || `rule ${ruleIndex + 1}`,
+        unitPrice,
+        quantity: qty,
+        discountPercent,
+        orderValue,
+        currency: ruleSet.currency || 'EGP'
+    };
+}
+
+/**
+ * Prices a single project with the active rule set.
+ * @param {{familyId?: number|null, pageCount?: number|null, quantity?: number}} item
+ * @returns {Promise<Object>} See quoteWithRules
+ */
+async function quote(item) {
+    const { ruleSet } = await getRuleSet();
+    return quoteWithRules(ruleSet, item);
+}
+
+module.exports = {
+    DEFAULT_RULE_SET,
+    validateRuleSet,
+    getRuleSet,
+    quoteWithRules,
+    quote
+};
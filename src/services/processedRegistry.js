@@ -0,0 +1,164 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson, writeJson } = require('../utils/jsonStore');
+
+/*
+ * Persistent registry of processed projects, keyed on order reference + project ID.
+ * Lets redelivered webhooks skip projects that already completed (no duplicate PDFs or
+ * messages) while failed projects are retried. Failed projects keep the recipients their
+ * message already reached, so a retry only sends to the others.
+ */
+
+let entriesPromise = null; // Resolves to the registry object
+let writeChain = Promise.resolve();
+
+function getKey(orderReference, projectId) {
+    return `${orderReference}::${projectId}`;
+}
+
+/**
+ * Reads the registry file. Runs once (again after a failed read); concurrent and later calls share the same object.
+ * @returns {Promise<Object>}
+ */
+function load() {
+    if (!entriesPromise) {
+        entriesPromise = readJson(config.processedRegistryPath, {}).catch((error) => {
+            // Let the next call try again
+            entriesPromise = null;
+            throw error;
+        });
+    }
+    return entriesPromise;
+}
+
+/**
+ * Describes the render a project was processed from. The signed query string of the
+ * render URL changes on every delivery, so only origin + path are kept.
+ * @param {Object} project - Project object from Printbox webhook
+ * @returns {{renderUrl: string|null, files: Array<string>}}
+ */
+function getRenderFingerprint(project) {
+    const url = project.render?.url || null;
+    let renderUrl = url;
+    if (url) {
+        try {
+            const parsed = new URL(url);
+            renderUrl = `${parsed.origin}${parsed.pathname}`;
+        } catch {
+            // Keep the raw value if it isn't a valid URL
+        }
+    }
+
+    const files = (project.render?.files || [])
+        .map(file => file.filename)
+        .filter(Boolean)
+        .sort();
+
+    return { renderUrl, files };
+}
+
+function sameRender(entry, fingerprint) {
+    return entry.renderUrl === fingerprint.renderUrl
+        && JSON.stringify(entry.files) === JSON.stringify(fingerprint.files);
+}
+
+/**
+ * Returns the registry entry for a project, if it completed from the same render.
+ * A project re-rendered with a different file list is treated as new work.
+ * @param {string} orderReference
+ * @param {Object} project - Project object from Printbox webhook
+ * @returns {Promise<Object|null>}
+ */
+async function getCompleted(orderReference, project) {
+    const registry = await load();
+    const entry = registry[getKey(orderReference, project.id)];
+    if (!entry || entry.status !== 'completed') {
+        return null;
+    }
+    if (!sameRender(entry, getRenderFingerprint(project))) {
+        logger.info(`Project ${project.id} of order ${orderReference} was re-rendered, processing again`);
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * Returns the deliveries of the last attempt at the same render, so a retry can leave out what already went out.
+ * @param {string} orderReference
+ * @param {Object} project - Project object from Printbox webhook
+ * @returns {Promise<Array<{channel: string, recipient: string|null, status: 'sent'|'failed', error?: string, attachmentSent?: boolean}>>}
+ *     See notificationService.sendOrderWithAttachment
+ */
+async function getPreviousDeliveries(orderReference, project) {
+    const registry = await load();
+    const entry = registry[getKey(orderReference, project.id)];
+    if (!entry?.deliveries || !sameRender(entry, getRenderFingerprint(project))) {
+        return [];
+    }
+    return entry.deliveries;
+}
+
+/**
+ * Records the outcome of processing a project.
+ * @param {string} orderReference
+ * @param {Object} project - Project object from Printbox webhook
+ * @param {{projectIndex: number, status: 'completed'|'failed', result?: Object, error?: string,
+ *     deliveries?: Array<Object>}} outcome - `deliveries`: outcome per channel and recipient of the order message
+ * @returns {Promise<Object>} The stored entry
+ */
+async function record(orderReference, project, { projectIndex, status, result = null, error = null, deliveries = null }) {
+    const registry = await load();
+    const key = getKey(orderReference, project.id);
+    const previous = registry[key];
+    const now = new Date().toISOString();
+    const fingerprint = getRenderFingerprint(project);
+
+    // An attempt that failed before sending keeps the deliveries of the previous attempt at the same render
+    const keptDeliveries = previous && sameRender(previous, fingerprint) ? previous.deliveries || null : null;
+
+    const entry = {
+        orderReference,
+        projectId: project.id,
+        projectIndex,
+        ...fingerprint,
+        status,
+        result,
+        error,
+        deliveries: deliveries || keptDeliveries,
+        attempts: (previous?.attempts || 0) + 1,
+        firstSeenAt: previous?.firstSeenAt || now,
+        updatedAt: now
+    };
+    registry[key] = entry;
+
+    // Serialize writes so concurrent updates never interleave
+    writeChain = writeChain
+        .then(() => writeJson(config.processedRegistryPath, registry))
+        .catch(writeError => logger.error(`Failed to persist processed-projects registry: ${writeError.message}`));
+    await writeChain;
+
+    return entry;
+}
+
+/**
+ * Records a successfully processed project.
+ */
+function markCompleted(orderReference, project, projectIndex, result) {
+    return record(orderReference, project, { projectIndex, status: 'completed', result, deliveries: result?.notifications || null });
+}
+
+/**
+ * Records a failed project so the next delivery retries it. `deliveries` keeps the recipients that
+ * already got the message, which the retry leaves out.
+ */
+function markFailed(orderReference, project, projectIndex, error, deliveries = null) {
+    return record(orderReference, project, { projectIndex, status: 'failed', error, deliveries });
+}
+
+module.exports = {
+    getRenderFingerprint,
+    getCompleted,
+    getPreviousDeliveries,
+    markCompleted,
+    markFailed
+};
@@ -0,0 +1,111 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson } = require('../utils/jsonStore');
+const { matchesRule, validateCondition } = require('../utils/ruleMatcher');
+
+const SIZE_KEYS = ['trimWidthMm', 'trimHeightMm'];
+const OPTIONAL_KEYS = ['bleedMm', 'toleranceMm'];
+
+/**
+ * Validates product specs, throwing an error describing the first problem found.
+ * @param {Object} specs - `{products: [...]}`
+ * @returns {Object} The same specs
+ */
+function validateProductSpecs(specs) {
+    const fail = (message) => {
+        throw new Error(`Invalid product specs: ${message}`);
+    };
+
+    if (!specs || typeof specs !== 'object' || !Array.isArray(specs.products)) {
+        fail('expected an object with a "products" list');
+    }
+
+    specs.products.forEach((product, i) => {
+        const label = `product ${i + 1}${product?.name ? ` (${product.name})` : ''}`;
+        if (!product || typeof product !== 'object') fail(`${label} must be an object`);
+
+        if (product.match !== undefined) {
+            if (typeof product.match !== 'object' || Array.isArray(product.match)) fail(`${label}: "match" must be an object`);
+            for (const [key, condition] of Object.entries(product.match)) {
+                if (key !== 'family_id') fail(`${label}: unknown match key "${key}" (allowed: family_id)`);
+                const error = validateCondition(condition);
+                if (error) fail(`${label}: match.${key} ${error}`);
+            }
+        }
+
+        for (const key of SIZE_KEYS) {
+            if (typeof product[key] !== 'number' || product[key] <= 0) {
+                fail(`${label}: "${key}" must be a positive number`);
+            }
+        }
+        for (const key of OPTIONAL_KEYS) {
+            if (product[key] !== undefined && (typeof product[key] !== 'number' || product[key] < 0)) {
+                fail(`${label}: "${key}" must be a non-negative number`);
+            }
+        }
+    });
+
+    return specs;
+}
+
+/**
+ * Checks the product specs file. Call at startup: throws when the file is unreadable or invalid, so a broken
+ * file stops the server instead of silently disabling page normalization.
+ * @returns {Object|null} The specs, or null without a file
+ */
+function checkProductSpecs() {
+    const filePath = config.productSpecsPath;
+    if (!fs.existsSync(filePath)) {
+        logger.info(`No product specs file at ${filePath}: page boxes will not be normalized`);
+        return null;
+    }
+
+    try {
+        const specs = validateProductSpecs(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        logger.info(`Loaded ${specs.products.length} product spec(s) from ${filePath}`);
+        return specs;
+    } catch (error) {
+        throw new Error(`Failed to load product specs from ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Loads the product specs file. Without a file (or with an invalid one) no product is normalized.
+ * @returns {Promise<Object>}
+ */
+async function getProductSpecs() {
+    try {
+        const specs = await readJson(config.productSpecsPath, null);
+        return specs ? validateProductSpecs(specs) : { products: [] };
+    } catch (error) {
+        logger.error(`Failed to load product specs from ${config.productSpecsPath}, page normalization disabled: ${error.message}`);
+        return { products: [] };
+    }
+}
+
+/**
+ * Returns the spec (trim size and bleed) of the first product matching a family, with defaults applied.
+ * @param {number|null} familyId
+ * @returns {Promise<{name: string, trimWidthMm: number, trimHeightMm: number, bleedMm: number, toleranceMm: number}|null>}
+ */
+async function getProductSpec(familyId) {
+    const { products } = await getProductSpecs();
+    const product = products.find(p => matchesRule(p.match, { family_id: familyId }));
+    if (!product) return null;
+
+    return {
+        name: product.name || `family ${familyId}`,
+        trimWidthMm: product.trimWidthMm,
+        trimHeightMm: product.trimHeightMm,
+        bleedMm: product.bleedMm ?? 3,
+        toleranceMm: product.toleranceMm ?? 2
+    };
+}
+
+module.exports = {
+    validateProductSpecs,
+    checkProductSpecs,
+    getProductSpecs,
+    getProductSpec
+};
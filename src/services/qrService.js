@@ -20,12 +20,12 @@ function escapeXml(value) {
 }
 
 /**
- * Generates a QR code JPEG for the Shopify order admin link and saves it to temp.
+ * Renders a QR code JPEG for the Shopify order admin link, labelled with the order number.
  * @param {string} orderId - Shopify order ID (from webhook req.body.order), used in the URL
- * @param {string} orderNumber - Order reference/number used for filename (e.g. projects[0].order.reference)
- * @returns {Promise<string>} Path to the created JPEG file
+ * @param {string} orderNumber - Order reference/number printed under the code
+ * @returns {Promise<Buffer>} JPEG image
  */
-async function generateQRImage(orderId, orderNumber) {
+async function createQRImage(orderId, orderNumber) {
     const url = `${SHOPIFY_ORDERS_BASE}/${orderId}`;
     const orderLabel = String(orderNumber).replace(/^#/, '');
 
@@ -54,10 +54,20 @@ async function generateQRImage(orderId, orderNumber) {
         .extend({ bottom: labelHeight, background: '#FFFFFF' })
         .composite([{ input: textBuffer, left: 0, top: qrSize }])
         .toBuffer();
-    const imageBuffer = await sharp(composed)
+    return sharp(composed)
         .resize(QR_SIZE, QR_SIZE + LABEL_HEIGHT, { kernel: 'lanczos3' })
         .jpeg({ quality: 95 })
         .toBuffer();
+}
+
+/**
+ * Generates a QR code JPEG for the Shopify order admin link and saves it to temp.
+ * @param {string} orderId - Shopify order ID (from webhook req.body.order), used in the URL
+ * @param {string} orderNumber - Order reference/number used for filename (e.g. projects[0].order.reference)
+ * @returns {Promise<string>} Path to the created JPEG file
+ */
+async function generateQRImage(orderId, orderNumber) {
+    const imageBuffer = await createQRImage(orderId, orderNumber);
 
     const tempDir = path.resolve(config.tempDir);
     await fs.mkdir(tempDir, { recursive: true });
@@ -70,5 +80,6 @@ async function generateQRImage(orderId, orderNumber) {
 }
 
 module.exports = {
+    createQRImage,
     generateQRImage
 };
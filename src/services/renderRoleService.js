@@ -0,0 +1,133 @@
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson } = require('../utils/jsonStore');
+const { matchesRule, validateCondition } = require('../utils/ruleMatcher');
+
+// Built-in roles, used when no role file exists (matches the original cover/pages detection)
+const DEFAULT_ROLE_RULES = {
+    roleRules: [
+        {
+            name: 'default',
+            roles: [
+                { role: 'cover', pattern: 'cover\\.pdf$' },
+                { role: 'pages', pattern: 'pages\\.pdf$' }
+            ],
+            mergeOrder: ['cover', 'pages']
+        }
+    ]
+};
+
+/**
+ * Validates role rules, throwing an error describing the first problem found.
+ * @param {Object} ruleSet - `{roleRules: [...]}`
+ * @returns {Object} The same rule set
+ */
+function validateRoleRules(ruleSet) {
+    const fail = (message) => {
+        throw new Error(`Invalid render role rules: ${message}`);
+    };
+
+    if (!ruleSet || typeof ruleSet !== 'object' || !Array.isArray(ruleSet.roleRules) || ruleSet.roleRules.length === 0) {
+        fail('expected an object with a non-empty "roleRules" list');
+    }
+
+    ruleSet.roleRules.forEach((rule, i) => {
+        const label = `rule ${i + 1}${rule?.name ? ` (${rule.name})` : ''}`;
+        if (!rule || typeof rule !== 'object') fail(`${label} must be an object`);
+
+        if (rule.match !== undefined) {
+            if (typeof rule.match !== 'object' || Array.isArray(rule.match)) fail(`${label}: "match" must be an object`);
+            for (const [key, condition] of Object.entries(rule.match)) {
+                if (key !== 'family_id') fail(`${label}: unknown match key "${key}" (allowed: family_id)`);
+                const error = validateCondition(condition);
+                if (error) fail(`${label}: match.${key} ${error}`);
+            }
+        }
+
+        if (!Array.isArray(rule.roles) || rule.roles.length === 0) fail(`${label}: "roles" must be a non-empty list`);
+        rule.roles.forEach((entry, j) => {
+            if (!entry || typeof entry.role !== 'string' || !entry.role) fail(`${label}: roles[${j}].role must be a non-empty string`);
+            if (typeof entry.pattern !== 'string' || !entry.pattern) fail(`${label}: roles[${j}].pattern must be a non-empty string`);
+            try {
+                new RegExp(entry.pattern, 'i');
+            } catch (error) {
+                fail(`${label}: roles[${j}].pattern is not a valid regular expression (${error.message})`);
+            }
+        });
+
+        const roleNames = rule.roles.map(entry => entry.role);
+        if (!Array.isArray(rule.mergeOrder) || rule.mergeOrder.length === 0) fail(`${label}: "mergeOrder" must be a non-empty list`);
+        rule.mergeOrder.forEach((role) => {
+            if (!roleNames.includes(role)) fail(`${label}: mergeOrder role "${role}" has no pattern in "roles"`);
+        });
+        if (new Set(rule.mergeOrder).size !== rule.mergeOrder.length) fail(`${label}: "mergeOrder" lists a role twice`);
+    });
+
+    return ruleSet;
+}
+
+/**
+ * Returns the role rule for a family: the first rule whose `match` fits. Falls back to the built-in
+ * cover/pages rule when the role file is missing, invalid or has no matching rule.
+ * @param {number|null} familyId
+ * @returns {Promise<{name: string, roles: Array<{role: string, pattern: string}>, mergeOrder: Array<string>}>}
+ */
+async function getRoleRule(familyId) {
+    let ruleSet = DEFAULT_ROLE_RULES;
+    try {
+        const loaded = await readJson(config.renderRolesPath, null);
+        if (loaded) ruleSet = validateRoleRules(loaded);
+    } catch (error) {
+        logger.error(`Failed to load render role rules from ${config.renderRolesPath}, using built-in rules: ${error.message}`);
+    }
+
+    return ruleSet.roleRules.find(rule => matchesRule(rule.match, { family_id: familyId }))
+        || DEFAULT_ROLE_RULES.roleRules[0];
+}
+
+/**
+ * Assigns a role to each render file (first matching pattern wins, case-insensitive, on the basename)
+ * and orders the files to merge by the rule's merge recipe. Several files can share a role; they are
+ * merged in natural filename order (e.g. pages_2.pdf before pages_10.pdf).
+ * @param {Array<{filename: string}>} files - `render.files` from the Printbox webhook
+ * @param {{roles: Array<{role: string, pattern: string}>, mergeOrder: Array<string>}} rule - See getRoleRule
+ * @returns {{merge: Array<{filename: string, role: string}>, notMerged: Array<{filename: string, role: string|null}>}}
+ *     Files to merge in order, and files that are reported but not merged (no matching role, or a role outside the recipe)
+ */
+function assignRoles(files, rule) {
+    const patterns = rule.roles.map(entry => ({ role: entry.role, regex: new RegExp(entry.pattern, 'i') }));
+    const byRole = new Map();
+    const notMerged = [];
+
+    for (const file of files) {
+        if (!file?.filename) continue;
+        const filename = path.basename(file.filename);
+        const match = patterns.find(({ regex }) => regex.test(filename));
+
+        if (!match) {
+            notMerged.push({ filename, role: null });
+        } else if (!rule.mergeOrder.includes(match.role)) {
+            notMerged.push({ filename, role: match.role });
+        } else {
+            if (!byRole.has(match.role)) byRole.set(match.role, []);
+            byRole.get(match.role).push(filename);
+        }
+    }
+
+    const merge = [];
+    for (const role of rule.mergeOrder) {
+        const filenames = (byRole.get(role) || [])
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+        filenames.forEach(filename => merge.push({ filename, role }));
+    }
+
+    return { merge, notMerged };
+}
+
+module.exports = {
+    DEFAULT_ROLE_RULES,
+    validateRoleRules,
+    getRoleRule,
+    assignRoles
+};
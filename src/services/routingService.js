@@ -0,0 +1,129 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { readJson } = require('../utils/jsonStore');
+const { matchesRule, validateCondition } = require('../utils/ruleMatcher');
+
+const MATCH_KEYS = ['family_id', 'pages', 'quantity', 'order_value', 'reference_prefix'];
+
+/**
+ * Recipients used when no routing rule matches, per channel: the ones configured in the environment.
+ * @returns {{whatsapp: Array<string>, telegram: Array<string>, email: Array<string>, webhook: Array<string>}}
+ */
+function getDefaultRecipients() {
+    return {
+        whatsapp: config.whatsapp.recipientNumber ? [config.whatsapp.recipientNumber] : [],
+        telegram: config.telegram.chatId ? [String(config.telegram.chatId)] : [],
+        email: config.email.to,
+        webhook: config.notifyWebhook.url ? [config.notifyWebhook.url] : []
+    };
+}
+
+/**
+ * Validates routing rules, throwing an error (status 400) describing the first problem found.
+ * @param {Object} routing - `{routes: [...]}`
+ * @returns {Object} The same rules
+ */
+function validateRoutes(routing) {
+    const fail = (message) => {
+        const error = new Error(`Invalid routing rules: ${message}`);
+        error.status = 400;
+        throw error;
+    };
+    const channels = Object.keys(getDefaultRecipients());
+
+    if (!routing || typeof routing !== 'object' || !Array.isArray(routing.routes)) {
+        fail('expected an object with a "routes" list');
+    }
+
+    routing.routes.forEach((route, i) => {
+        const label = `route ${i + 1}${route?.name ? ` (${route.name})` : ''}`;
+        if (!route || typeof route !== 'object') fail(`${label} must be an object`);
+
+        if (route.match !== undefined) {
+            if (typeof route.match !== 'object' || Array.isArray(route.match)) fail(`${label}: "match" must be an object`);
+            for (const [key, condition] of Object.entries(route.match)) {
+                if (!MATCH_KEYS.includes(key)) fail(`${label}: unknown match key "${key}" (allowed: ${MATCH_KEYS.join(', ')})`);
+                if (key === 'reference_prefix') {
+                    const prefixes = [].concat(condition);
+                    if (prefixes.length === 0 || prefixes.some(prefix => typeof prefix !== 'string' || !prefix)) {
+                        fail(`${label}: match.reference_prefix must be a non-empty string or list of strings`);
+                    }
+                    continue;
+                }
+                const error = validateCondition(condition);
+                if (error) fail(`${label}: match.${key} ${error}`);
+            }
+        }
+
+        if (!route.recipients || typeof route.recipients !== 'object' || Array.isArray(route.recipients)) {
+            fail(`${label}: "recipients" must be an object of channel -> recipient list`);
+        }
+        for (const [channel, recipients] of Object.entries(route.recipients)) {
+            if (!channels.includes(channel)) fail(`${label}: unknown channel "${channel}" (allowed: ${channels.join(', ')})`);
+            const list = [].concat(recipients);
+            if (list.some(recipient => (typeof recipient !== 'string' && typeof recipient !== 'number') || recipient === '')) {
+                fail(`${label}: recipients.${channel} must be a recipient or a list of recipients`);
+            }
+        }
+    });
+
+    return routing;
+}
+
+/**
+ * Loads the routing file. Without a file (or with an invalid one) everything goes to the default recipients.
+ * @returns {Promise<{routing: Object, source: string}>} Rules and where they came from (`file` or `default`)
+ */
+async function getRoutes() {
+    try {
+        const routing = await readJson(config.routingRulesPath, null);
+        if (routing) return { routing: validateRoutes(routing), source: 'file' };
+    } catch (error) {
+        logger.error(`Failed to load routing rules from ${config.routingRulesPath}, using default recipients: ${error.message}`);
+    }
+    return { routing: { routes: [] }, source: 'default' };
+}
+
+/**
+ * Picks the recipients for an order message: the first route whose `match` fits the facts.
+ * Channels the route does not mention keep their default recipients; an empty list skips the channel.
+ * @param {Object} routing - Validated rules (see getRoutes)
+ * @param {{familyId?: number|null, pageCount?: number|null, quantity?: number, orderValue?: number|null, reference?: string}} facts
+ * @returns {{route: string|null, recipients: Object<string, Array<string>>}} Route name (null for the default) and recipients per channel
+ */
+function resolveWithRoutes(routing, { familyId = null, pageCount = null, quantity = 1, orderValue = null, reference = '' }) {
+    const facts = { family_id: familyId, pages: pageCount, quantity, order_value: orderValue };
+    const recipients = getDefaultRecipients();
+
+    const route = routing.routes.find((candidate) => {
+        const { reference_prefix: prefixes, ...match } = candidate.match || {};
+        if (prefixes !== undefined && ![].concat(prefixes).some(prefix => String(reference).startsWith(prefix))) {
+            return false;
+        }
+        return matchesRule(match, facts);
+    });
+    if (!route) return { route: null, recipients };
+
+    for (const [channel, list] of Object.entries(route.recipients)) {
+        recipients[channel] = [].concat(list).map(String);
+    }
+    return { route: route.name || `route ${routing.routes.indexOf(route) + 1}`, recipients };
+}
+
+/**
+ * Picks the recipients for an order message using the active routing file.
+ * @param {Object} facts - See resolveWithRoutes
+ * @returns {Promise<{route: string|null, recipients: Object<string, Array<string>>}>}
+ */
+async function resolveRecipients(facts) {
+    const { routing } = await getRoutes();
+    return resolveWithRoutes(routing, facts);
+}
+
+module.exports = {
+    getDefaultRecipients,
+    validateRoutes,
+    getRoutes,
+    resolveWithRoutes,
+    resolveRecipients
+};
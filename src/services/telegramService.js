@@ -4,6 +4,10 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { buildOrderMessageBody, buildOrderCaption } = require('./messageBuilder');
+
+// Telegram rejects document captions longer than this
+const MAX_CAPTION_LENGTH = 1024;
 
 function getTelegramBaseUrl() {
     if (!config.telegram.botToken) {
@@ -13,40 +17,30 @@ function getTelegramBaseUrl() {
 }
 
 /**
- * Builds the order details message body (Order, Quantity, Page Count, Value, Total, Download link).
+ * Sends a text message to a chat.
+ * @param {string} text
+ * @param {string} chatId
+ * @returns {Promise<Object>} Response from Telegram API
  */
-function buildOrderMessageBody(mainPdfPath, orderId, details = {}) {
-    const filename = path.basename(mainPdfPath);
-    const downloadUrl = `${config.baseUrl}/download/${encodeURIComponent(filename)}`;
-    const quantityText = typeof details.quantity === 'number' ? `${details.quantity}` : '1';
-    const pageCountText = typeof details.pageCount === 'number' ? `${details.pageCount}` : 'N/A';
-    const orderValueText = typeof details.orderValue === 'number' ? `${details.orderValue}` : 'N/A';
-    const totalText =
-        typeof details.total === 'number'
-            ? `${details.total}`
-            : orderValueText !== 'N/A'
-                ? orderValueText
-                : 'N/A';
-    return `Order ${orderId}\nQuantity: ${quantityText}\nPage Count: ${pageCountText}\nOrder Value: ${orderValueText} EGP\nTotal Money: ${totalText} EGP\n\nDownload PDF:\n${downloadUrl}`;
+async function sendText(text, chatId) {
+    if (!chatId) throw new Error('TELEGRAM_CHAT_ID is missing');
+
+    const response = await axios.post(`${getTelegramBaseUrl()}/sendMessage`, {
+        chat_id: chatId,
+        text
+    }, { timeout: 30000 });
+    return response.data;
 }
 
 /**
- * Sends a text message with a download link via Telegram
+ * Sends the order details with a download link via Telegram (to TELEGRAM_CHAT_ID unless another chat is given)
  */
-async function sendPDF(pdfPath, orderId, details = {}) {
+async function sendOrder(pdfPath, orderId, details = {}, chatId = config.telegram.chatId) {
     try {
-        if (!config.telegram.chatId) throw new Error('TELEGRAM_CHAT_ID is missing');
-        
         logger.info(`Sending text notification to Telegram for order: ${orderId}`);
-        const caption = buildOrderMessageBody(pdfPath, orderId, details);
-
-        const response = await axios.post(`${getTelegramBaseUrl()}/sendMessage`, {
-            chat_id: config.telegram.chatId,
-            text: caption
-        });
-
+        const data = await sendText(buildOrderMessageBody(pdfPath, orderId, details, 'telegram'), chatId);
         logger.info(`Message sent successfully to Telegram for order ${orderId}`);
-        return response.data;
+        return data;
     } catch (error) {
         logger.error(`Failed to send message to Telegram for order ${orderId}: ${error.response?.data?.description || error.message}`);
         throw new Error(`Telegram send failed: ${error.response?.data?.description || error.message}`);
@@ -54,22 +48,51 @@ async function sendPDF(pdfPath, orderId, details = {}) {
 }
 
 /**
- * Sends the order message with the QR JPEG as photo attachment.
+ * Sends the order message with an attachment (the QR JPEG) as a document, the order details as its caption.
+ * Details too long for a caption follow as a text message. With `skipAttachment` the document already
+ * reached the chat and only the details that follow it are sent; when the document goes out but the details
+ * do not, the error has `attachmentSent` set.
+ */
+async function sendOrderWithAttachment(attachmentPath, mainPdfPath, orderId, details = {}, chatId = config.telegram.chatId, { skipAttachment = false } = {}) {
+    const { caption, text } = buildOrderCaption(mainPdfPath, orderId, details, 'telegram', MAX_CAPTION_LENGTH);
+
+    let data = null;
+    if (!skipAttachment) {
+        data = await sendAttachment(attachmentPath, orderId, caption, chatId);
+    }
+
+    if (text) {
+        try {
+            data = await sendText(text, chatId);
+            logger.info(`Order details for ${orderId} sent to Telegram as a separate message (too long for a caption)`);
+        } catch (error) {
+            logger.error(`Failed to send order details for ${orderId} to Telegram after the document: ${error.response?.data?.description || error.message}`);
+            const sendError = new Error(`Telegram order details send failed: ${error.response?.data?.description || error.message}`);
+            // A retry must not send the document again
+            sendError.attachmentSent = true;
+            throw sendError;
+        }
+    }
+    return data;
+}
+
+/**
+ * Sends a file as a document with a caption.
+ * @returns {Promise<Object>} Response from Telegram API
  */
-async function sendOrderWithQRAttachment(qrImagePath, mainPdfPath, orderId, details = {}) {
+async function sendAttachment(attachmentPath, orderId, caption, chatId) {
     try {
-        if (!config.telegram.chatId) throw new Error('TELEGRAM_CHAT_ID is missing');
+        if (!chatId) throw new Error('TELEGRAM_CHAT_ID is missing');
 
         logger.info(`Sending QR notification to Telegram for order: ${orderId}`);
-        const caption = buildOrderMessageBody(mainPdfPath, orderId, details);
-
         const formData = new FormData();
-        formData.append('chat_id', config.telegram.chatId);
-        formData.append('document', fs.createReadStream(qrImagePath), { filename: path.basename(qrImagePath) });
+        formData.append('chat_id', chatId);
+        formData.append('document', fs.createReadStream(attachmentPath), { filename: path.basename(attachmentPath) });
         formData.append('caption', caption);
 
         const response = await axios.post(`${getTelegramBaseUrl()}/sendDocument`, formData, {
-            headers: formData.getHeaders()
+            headers: formData.getHeaders(),
+            timeout: 120000 // Uploads carry a file, allow more than a plain message
         });
 
         logger.info(`QR image sent successfully to Telegram for order ${orderId}`);
@@ -80,8 +103,22 @@ async function sendOrderWithQRAttachment(qrImagePath, mainPdfPath, orderId, deta
     }
 }
 
+/**
+ * Sends an alert as a text message (to TELEGRAM_CHAT_ID unless another chat is given).
+ */
+async function sendAlert(message, chatId = config.telegram.chatId) {
+    try {
+        const data = await sendText(message, chatId);
+        logger.info('Alert sent to Telegram');
+        return data;
+    } catch (error) {
+        logger.error(`Failed to send alert to Telegram: ${error.response?.data?.description || error.message}`);
+        throw new Error(`Telegram alert send failed: ${error.response?.data?.description || error.message}`);
+    }
+}
+
 module.exports = {
-    sendPDF,
-    sendOrderWithQRAttachment,
-    buildOrderMessageBody
+    sendOrder,
+    sendOrderWithAttachment,
+    sendAlert
 };
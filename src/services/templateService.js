@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const { parseTemplate, listNames, renderTemplate } = require('../utils/template');
+
+/*
+ * Message templates live in MESSAGE_TEMPLATES_DIR as `<kind>.<language>.txt` (every channel) or
+ * `<kind>.<channel>.<language>.txt` (one channel only), e.g. `order.ar.txt` or `order.email.en.txt`.
+ * They are loaded and checked once at startup; see utils/template.js for the syntax.
+ */
+
+// Names each kind of template can use, and the fields of list items inside its blocks
+const TEMPLATE_FIELDS = {
+    order: [
+        'orderId', 'orderReference', 'projectIndex', 'projectCount', 'familyId', 'quantity', 'pageCount',
+        'orderValue', 'total', 'currency', 'pdfUrl', 'imposedUrl', 'combinedUrl',
+        'hasPreflight', 'preflight', 'preflightMore', 'message', 'isError', '.'
+    ]
+};
+
+// Built-in templates, used when the directory has none for a language
+const DEFAULT_TEMPLATES = {
+    'order.en': `Order {{orderId}}
+Quantity: {{quantity}}
+Page Count: {{pageCount|N/A}}
+Order Value: {{orderValue|N/A}} {{currency}}
+Total Money: {{total|N/A}} {{currency}}
+
+Download PDF:
+{{pdfUrl}}
+{{#imposedUrl}}
+
+Print-ready PDF (saddle-stitch):
+{{imposedUrl}}
+{{/imposedUrl}}
+{{#combinedUrl}}
+
+Full order PDF (all projects):
+{{combinedUrl}}
+{{/combinedUrl}}
+{{#hasPreflight}}
+
+Preflight warnings:
+{{#preflight}}
+- {{#isError}}ERROR: {{/isError}}{{message}}
+{{/preflight}}
+{{#preflightMore}}
+- ...and {{preflightMore}} more
+{{/preflightMore}}
+{{/hasPreflight}}
+`
+};
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+const RIGHT_TO_LEFT_MARK = '\u200F';
+
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]+)?$/;
+
+let templates = null;
+
+/**
+ * Parses a template and checks it only uses names known for its kind.
+ * @param {string} kind
+ * @param {string} source
+ * @returns {Array<Object>} Parsed template
+ */
+function compileTemplate(kind, source) {
+    const nodes = parseTemplate(source.replace(/\r\n/g, '\n'));
+    const unknown = listNames(nodes).find(({ name }) => !TEMPLATE_FIELDS[kind].includes(name));
+    if (unknown) {
+        throw new Error(`unknown placeholder "${unknown.name}" at line ${unknown.line} (allowed: ${TEMPLATE_FIELDS[kind].filter(name => name !== '.').join(', ')})`);
+    }
+    return nodes;
+}
+
+/**
+ * @param {string|null} channel
+ * @returns {string} Language of the messages sent through a channel
+ */
+function getLanguage(channel) {
+    return config.messages.channelLanguages[channel] || config.messages.language;
+}
+
+/**
+ * Loads and checks the built-in templates and every template in the templates directory, and makes sure
+ * each enabled channel has an order template in its language. Call at startup: throws on the first problem.
+ * @returns {Map<string, Array<Object>>} Parsed templates by `<kind>[.<channel>].<language>`
+ */
+function loadTemplates() {
+    const loaded = new Map();
+    for (const [key, source] of Object.entries(DEFAULT_TEMPLATES)) {
+        loaded.set(key, compileTemplate(key.split('.')[0], source));
+    }
+
+    const dir = config.messages.templatesDir;
+    const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(file => file.endsWith('.txt')).sort() : [];
+    for (const file of files) {
+        const parts = path.basename(file, '.txt').split('.');
+        const [kind] = parts;
+        const language = parts[parts.length - 1];
+        const channel = parts.length === 3 ? parts[1] : null;
+        try {
+            if (parts.length < 2 || parts.length > 3) throw new Error('expected <kind>.<language>.txt or <kind>.<channel>.<language>.txt');
+            if (!TEMPLATE_FIELDS[kind]) throw new Error(`unknown kind "${kind}" (allowed: ${Object.keys(TEMPLATE_FIELDS).join(', ')})`);
+            if (channel && !config.notifications.knownChannels.includes(channel)) {
+                throw new Error(`unknown channel "${channel}" (allowed: ${config.notifications.knownChannels.join(', ')})`);
+            }
+            if (!LANGUAGE_PATTERN.test(language)) throw new Error(`invalid language "${language}"`);
+            loaded.set(parts.join('.'), compileTemplate(kind, fs.readFileSync(path.join(dir, file), 'utf8')));
+        } catch (error) {
+            throw new Error(`Invalid message template ${path.join(dir, file)}: ${error.message}`);
+        }
+    }
+
+    const unknownChannels = Object.keys(config.messages.channelLanguages)
+        .filter(channel => !config.notifications.knownChannels.includes(channel));
+    if (unknownChannels.length > 0) {
+        throw new Error(`Unknown channel in MESSAGE_CHANNEL_LANGUAGES: ${unknownChannels.join(', ')}`);
+    }
+    for (const channel of config.notifications.channels) {
+        const language = getLanguage(channel);
+        if (!loaded.has(`order.${channel}.${language}`) && !loaded.has(`order.${language}`)) {
+            throw new Error(`No order message template for language "${language}" (channel ${channel}): add order.${language}.txt to ${dir}`);
+        }
+    }
+
+    templates = loaded;
+    logger.info(`Loaded ${files.length} message template(s) from ${dir}`);
+    return loaded;
+}
+
+/**
+ * Renders a message for a channel in the channel's language. Right-to-left languages get a
+ * right-to-left mark at the start of each line so chat apps align them correctly; lines that start
+ * with a link are left alone so the link stays clickable.
+ * @param {string} kind - e.g. `order`
+ * @param {string|null} channel - Channel the message is for; null for the default template
+ * @param {Object} view - Values by name (see TEMPLATE_FIELDS)
+ * @returns {string}
+ */
+function renderMessage(kind, channel, view) {
+    if (!templates) loadTemplates();
+    const language = getLanguage(channel);
+    const nodes = (channel && templates.get(`${kind}.${channel}.${language}`))
+        || templates.get(`${kind}.${language}`)
+        || templates.get(`${kind}.en`);
+    const text = renderTemplate(nodes, view);
+    if (!RTL_LANGUAGES.includes(language.split('-')[0])) return text;
+    return text.split('\n')
+        .map(line => (line && !/^https?:\/\//.test(line) ? RIGHT_TO_LEFT_MARK + line : line))
+        .join('\n');
+}
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    loadTemplates,
+    getLanguage,
+    renderMessage
+};
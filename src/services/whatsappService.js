@@ -4,9 +4,21 @@ const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { buildOrderView, buildOrderMessageBody, buildOrderCaption } = require('./messageBuilder');
+const { TEMPLATE_FIELDS, getLanguage } = require('./templateService');
+const messageStatusService = require('./messageStatusService');
 
 const WHATSAPP_API_BASE_URL = 'https://graph.facebook.com/v22.0';
 
+// Returned for free-form messages to a recipient who hasn't messaged the business in the last 24 hours
+const REENGAGEMENT_ERROR_CODE = 131047;
+
+// WhatsApp rejects document and image captions longer than this
+const MAX_CAPTION_LENGTH = 1024;
+
+// Order fields that can fill template parameters (lists and flags can't)
+const TEMPLATE_PARAM_FIELDS = TEMPLATE_FIELDS.order.filter(field => !['hasPreflight', 'preflight', 'message', 'isError', '.'].includes(field));
+
 /**
  * Uploads a media file to WhatsApp Media API
  * @param {string} filePath - Path to the media file
@@ -31,7 +43,8 @@ async function uploadMedia(filePath, mediaType = 'document') {
                     'Authorization': `Bearer ${config.whatsapp.accessToken}`
                 },
                 maxContentLength: Infinity,
-                maxBodyLength: Infinity
+                maxBodyLength: Infinity,
+                timeout: 120000 // Uploads carry a file, allow more than a plain message
             }
         );
 
@@ -45,42 +58,208 @@ async function uploadMedia(filePath, mediaType = 'document') {
 }
 
 /**
- * Sends a download link via WhatsApp Business API
- * @param {string} pdfPath - Path to the PDF file (used to get filename)
- * @param {string} orderId - Order ID for logging and caption
- * @param {{pageCount?: number|null, orderValue?: number|null, total?: number|null}=} details - Extra order details to include in message
+ * Posts a message to the WhatsApp Messages API.
+ * @param {Object} messagePayload
  * @returns {Promise<Object>} Response from WhatsApp API
  */
-async function sendPDF(pdfPath, orderId, details = {}) {
+async function postMessage(messagePayload) {
+    const response = await axios.post(
+        `${WHATSAPP_API_BASE_URL}/${config.whatsapp.phoneNumberId}/messages`,
+        messagePayload,
+        {
+            headers: {
+                'Authorization': `Bearer ${config.whatsapp.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: 30000
+        }
+    );
+    return response.data;
+}
+
+/**
+ * Sends a text message.
+ * @param {string} body - Message text
+ * @param {string} to - Recipient phone number
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+async function sendText(body, to) {
+    return postMessage({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'text',
+        text: {
+            body
+        }
+    });
+}
+
+/**
+ * Sends an uploaded file as a document message.
+ * @param {string} mediaId - ID from uploadMedia
+ * @param {string} filename
+ * @param {string} [caption]
+ * @param {string} to - Recipient phone number
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+async function sendDocument(mediaId, filename, caption, to) {
+    const messagePayload = {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'document',
+        document: {
+            id: mediaId,
+            filename: filename
+        }
+    };
+    if (caption) {
+        messagePayload.document.caption = caption;
+    }
+    return postMessage(messagePayload);
+}
+
+/**
+ * Parses WHATSAPP_TEMPLATE_PARAMS: one order field per body parameter, optionally with the text used
+ * when the field has no value (`pageCount|N/A`, `-` by default; WhatsApp rejects empty parameters).
+ * @returns {Array<{field: string, fallback: string}>}
+ */
+function getTemplateParams() {
+    return config.whatsapp.template.params.map((param) => {
+        const [field, ...fallback] = param.split('|');
+        return { field: field.trim(), fallback: fallback.length > 0 ? fallback.join('|') : '-' };
+    });
+}
+
+/**
+ * Checks the template settings at startup: every body parameter must name an order field.
+ */
+function checkTemplateConfig() {
+    if (!config.whatsapp.template.name) return;
+    const unknown = getTemplateParams().filter(({ field }) => !TEMPLATE_PARAM_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown WHATSAPP_TEMPLATE_PARAMS field(s): ${unknown.map(({ field }) => field).join(', ')} (allowed: ${TEMPLATE_PARAM_FIELDS.join(', ')})`);
+    }
+    logger.info(`WhatsApp template fallback: "${config.whatsapp.template.name}" with parameters ${getTemplateParams().map(({ field }) => field).join(', ') || '(none)'}`);
+}
+
+/**
+ * Sends the order as the approved template (WHATSAPP_TEMPLATE_NAME): a document header and
+ * the order fields from WHATSAPP_TEMPLATE_PARAMS as body parameters.
+ * @param {string} to - Recipient phone number
+ * @param {Object} view - Order fields (see messageBuilder.buildOrderView)
+ * @param {{id?: string, link?: string, filename: string}} document - Header document, uploaded or by URL
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+async function sendOrderTemplate(to, view, document) {
+    const { name, language, header } = config.whatsapp.template;
+    const components = [];
+    if (header === 'document') {
+        components.push({ type: 'header', parameters: [{ type: 'document', document }] });
+    }
+    const params = getTemplateParams();
+    if (params.length > 0) {
+        components.push({
+            type: 'body',
+            parameters: params.map(({ field, fallback }) => {
+                const value = view[field];
+                return { type: 'text', text: value === null || value === undefined || value === '' ? fallback : String(value) };
+            })
+        });
+    }
+
+    return postMessage({
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'template',
+        template: {
+            name,
+            language: { code: language || getLanguage('whatsapp') },
+            components
+        }
+    });
+}
+
+/**
+ * Runs a free-form send. When WhatsApp refuses it because the recipient is outside the 24-hour
+ * window and a template is configured, sends the template instead.
+ * @param {string} orderId - For logs
+ * @param {function(): Promise<Object>} send - Free-form send
+ * @param {function(): Promise<Object>} sendTemplate - Template send
+ * @returns {Promise<{data: Object, template: boolean}>} Response from WhatsApp API and whether the template was sent
+ */
+async function withTemplateFallback(orderId, send, sendTemplate) {
     try {
-        logger.info(`Sending PDF download link to WhatsApp for order: ${orderId}`);
+        return { data: await send(), template: false };
+    } catch (error) {
+        if (error.response?.data?.error?.code !== REENGAGEMENT_ERROR_CODE || !config.whatsapp.template.name) {
+            throw error;
+        }
+        logger.warn(`Order ${orderId} is outside the WhatsApp 24-hour window, sending template "${config.whatsapp.template.name}" instead`);
+        return { data: await sendTemplate(), template: true };
+    }
+}
 
-        const messageBody = buildOrderMessageBody(pdfPath, orderId, details);
+/**
+ * Stores the ID of a sent message so status webhooks can update it (see messageStatusService).
+ * The message has gone out already, so a storage error is only logged.
+ * @param {Object} data - Response from WhatsApp API
+ * @param {Object} context - See messageStatusService.recordSent
+ */
+async function trackMessage(data, context) {
+    try {
+        await messageStatusService.recordSent(data?.messages?.[0]?.id, context);
+    } catch (error) {
+        logger.error(`Failed to record WhatsApp message status: ${error.message}`);
+    }
+}
 
-        // Send text message with download link
-        const messagePayload = {
-            messaging_product: 'whatsapp',
-            recipient_type: 'individual',
-            to: config.whatsapp.recipientNumber,
-            type: 'text',
-            text: {
-                body: messageBody
-            }
-        };
+/**
+ * @param {string} orderId
+ * @param {Object} details - See messageBuilder.buildOrderMessageBody
+ * @param {string} recipient
+ * @param {boolean} template
+ * @param {{view: Object, document: Object}|null=} resend - Template fields and header document, kept for free-form
+ *     messages so they can be sent again as the template if WhatsApp later reports them outside the 24-hour window
+ * @returns {Object} Tracking context for an order message
+ */
+function orderContext(orderId, details, recipient, template, resend = null) {
+    return {
+        kind: 'order',
+        recipient,
+        orderReference: details.orderReference ?? null,
+        orderId,
+        projectIndex: details.projectIndex ?? null,
+        template,
+        resend: template || !resend
+            ? null
+            : { view: Object.fromEntries(TEMPLATE_PARAM_FIELDS.map(field => [field, resend.view[field] ?? null])), document: resend.document }
+    };
+}
 
-        const response = await axios.post(
-            `${WHATSAPP_API_BASE_URL}/${config.whatsapp.phoneNumberId}/messages`,
-            messagePayload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.whatsapp.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
+/**
+ * Sends the order details with a download link via WhatsApp Business API
+ * @param {string} pdfPath - Path to the PDF file (used to get filename)
+ * @param {string} orderId - Order ID for logging and caption
+ * @param {Object=} details - Extra order details to include in message (see messageBuilder.buildOrderMessageBody)
+ * @param {string=} recipient - Phone number, defaults to WHATSAPP_RECIPIENT_NUMBER
+ * @returns {Promise<Object>} Response from WhatsApp API
+ */
+async function sendOrder(pdfPath, orderId, details = {}, recipient = config.whatsapp.recipientNumber) {
+    try {
+        logger.info(`Sending PDF download link to WhatsApp for order: ${orderId}`);
+        const view = buildOrderView(pdfPath, orderId, details);
+        const document = { link: view.pdfUrl, filename: path.basename(pdfPath) };
+        const { data, template } = await withTemplateFallback(
+            orderId,
+            () => sendText(buildOrderMessageBody(pdfPath, orderId, details, 'whatsapp'), recipient),
+            () => sendOrderTemplate(recipient, view, document)
         );
-
+        await trackMessage(data, orderContext(orderId, details, recipient, template, { view, document }));
         logger.info(`Download link sent successfully to WhatsApp for order ${orderId}`);
-        return response.data;
+        return data;
     } catch (error) {
         logger.error(`Failed to send download link to WhatsApp for order ${orderId}:`, error.response?.data || error.message);
         throw new Error(`WhatsApp send failed: ${error.response?.data?.error?.message || error.message}`);
@@ -88,131 +267,120 @@ async function sendPDF(pdfPath, orderId, details = {}) {
 }
 
 /**
- * Builds the order details message body (Order, Quantity, Page Count, Value, Total, Download link).
- * @param {string} mainPdfPath - Path to the main merged PDF (for download URL)
- * @param {string} orderId - Order ID for display
- * @param {{quantity?: number|null, pageCount?: number|null, orderValue?: number|null, total?: number|null}=} details
- * @returns {string}
+ * Sends the order message with an attachment (the QR JPEG) as a document, the order details as its caption.
+ * Details too long for a caption follow as a text message.
+ * @param {string} attachmentPath - Path to the file to attach
+ * @param {string} mainPdfPath - Path to the main merged PDF (for download link in caption)
+ * @param {string} orderId - Order ID for caption
+ * @param {Object=} details - See messageBuilder.buildOrderMessageBody
+ * @param {string=} recipient - Phone number, defaults to WHATSAPP_RECIPIENT_NUMBER
+ * @param {{skipAttachment?: boolean}=} options - skipAttachment: the document already reached the recipient,
+ *     only send the details that follow it
+ * @returns {Promise<Object|null>} Response from WhatsApp API
+ * @throws {Error} With `attachmentSent` set when the document went out but the details text did not
  */
-function buildOrderMessageBody(mainPdfPath, orderId, details = {}) {
-    const filename = path.basename(mainPdfPath);
-    const downloadUrl = `${config.baseUrl}/download/${encodeURIComponent(filename)}`;
-    const quantityText = typeof details.quantity === 'number' ? `${details.quantity}` : '1';
-    const pageCountText = typeof details.pageCount === 'number' ? `${details.pageCount}` : 'N/A';
-    const orderValueText = typeof details.orderValue === 'number' ? `${details.orderValue}` : 'N/A';
-    const totalText =
-        typeof details.total === 'number'
-            ? `${details.total}`
-            : orderValueText !== 'N/A'
-                ? orderValueText
-                : 'N/A';
-    return `Order ${orderId}\nQuantity: ${quantityText}\nPage Count: ${pageCountText}\nOrder Value: ${orderValueText} EGP\nTotal Money: ${totalText} EGP\n\nDownload PDF:\n${downloadUrl}`;
+async function sendOrderWithAttachment(attachmentPath, mainPdfPath, orderId, details = {}, recipient = config.whatsapp.recipientNumber, { skipAttachment = false } = {}) {
+    const { caption, text } = buildOrderCaption(mainPdfPath, orderId, details, 'whatsapp', MAX_CAPTION_LENGTH);
+
+    let data = null;
+    let template = false;
+    if (!skipAttachment) {
+        try {
+            const mediaId = await uploadMedia(attachmentPath, 'document');
+            const filename = path.basename(attachmentPath);
+            const view = buildOrderView(mainPdfPath, orderId, details);
+            ({ data, template } = await withTemplateFallback(
+                orderId,
+                () => sendDocument(mediaId, filename, caption, recipient),
+                () => sendOrderTemplate(recipient, view, { id: mediaId, filename })
+            ));
+            await trackMessage(data, orderContext(orderId, details, recipient, template, { view, document: { id: mediaId, filename } }));
+            logger.info(`Document sent to WhatsApp: ${filename}`);
+        } catch (error) {
+            logger.error('Failed to send document to WhatsApp:', error.response?.data || error.message);
+            throw new Error(`WhatsApp document send failed: ${error.response?.data?.error?.message || error.message}`);
+        }
+    }
+
+    // A template carries the details itself
+    if (text && !template) {
+        try {
+            data = await sendText(text, recipient);
+            await trackMessage(data, orderContext(orderId, details, recipient, false));
+            logger.info(`Order details for ${orderId} sent to WhatsApp as a separate message (too long for a caption)`);
+        } catch (error) {
+            logger.error(`Failed to send order details for ${orderId} to WhatsApp after the document:`, error.response?.data || error.message);
+            const sendError = new Error(`WhatsApp order details send failed: ${error.response?.data?.error?.message || error.message}`);
+            // A retry must not send the document again
+            sendError.attachmentSent = true;
+            throw sendError;
+        }
+    }
+    return data;
 }
 
 /**
- * Sends the order message with the QR JPEG as document attachment (file + caption with order details and main PDF link).
- * @param {string} qrImagePath - Path to the QR image to send
- * @param {string} mainPdfPath - Path to the main merged PDF (for download link in caption)
- * @param {string} orderId - Order ID for caption
- * @param {{pageCount?: number|null, orderValue?: number|null, total?: number|null}=} details
- * @returns {Promise<Object>} Response from WhatsApp API
+ * @param {Object} message - Tracked message (see messageStatusService)
+ * @returns {boolean} Whether a failed message can be sent again as the template: a free-form order message
+ *     that failed because the recipient is outside the 24-hour window, with a template configured
  */
-async function sendOrderWithQRAttachment(qrImagePath, mainPdfPath, orderId, details = {}) {
-    const caption = buildOrderMessageBody(mainPdfPath, orderId, details);
-    return sendPDFAsDocument(qrImagePath, caption);
+function canResendAsTemplate(message) {
+    return message.kind === 'order'
+        && !message.template
+        && Boolean(message.resend)
+        && message.error?.code === REENGAGEMENT_ERROR_CODE
+        && Boolean(config.whatsapp.template.name);
 }
 
 /**
- * Uploads a PDF file and sends it as a document to the configured recipient.
- * @param {string} pdfPath - Full path to the PDF file
- * @param {string} [caption] - Optional caption for the document
+ * Sends a tracked order message again as the approved template. Used when WhatsApp accepted a free-form
+ * message but reports it failed later because the recipient is outside the 24-hour window.
+ * @param {Object} message - Tracked message (see messageStatusService) with `resend` set
  * @returns {Promise<Object>} Response from WhatsApp API
  */
-async function sendPDFAsDocument(pdfPath, caption) {
+async function resendAsTemplate(message) {
     try {
-        const mediaId = await uploadMedia(pdfPath, 'document');
-        const filename = path.basename(pdfPath);
-
-        const messagePayload = {
-            messaging_product: 'whatsapp',
-            recipient_type: 'individual',
-            to: config.whatsapp.recipientNumber,
-            type: 'document',
-            document: {
-                id: mediaId,
-                filename: filename
-            }
-        };
-        if (caption) {
-            messagePayload.document.caption = caption;
-        }
-
-        const response = await axios.post(
-            `${WHATSAPP_API_BASE_URL}/${config.whatsapp.phoneNumberId}/messages`,
-            messagePayload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.whatsapp.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-
-        logger.info(`Document sent to WhatsApp: ${filename}`);
-        return response.data;
+        const data = await sendOrderTemplate(message.recipient, message.resend.view, message.resend.document);
+        await trackMessage(data, {
+            kind: 'order',
+            recipient: message.recipient,
+            orderReference: message.orderReference,
+            orderId: message.orderId,
+            projectIndex: message.projectIndex,
+            template: true
+        });
+        logger.info(`Order ${message.orderId} sent again to ${message.recipient} as template "${config.whatsapp.template.name}"`);
+        return data;
     } catch (error) {
-        logger.error('Failed to send document to WhatsApp:', error.response?.data || error.message);
-        throw new Error(`WhatsApp document send failed: ${error.response?.data?.error?.message || error.message}`);
+        logger.error(`Failed to resend order ${message.orderId} as WhatsApp template:`, error.response?.data || error.message);
+        throw new Error(`WhatsApp template send failed: ${error.response?.data?.error?.message || error.message}`);
     }
 }
 
 /**
- * Uploads an image file and sends it as an image message.
- * @param {string} imagePath - Full path to image file
- * @param {string} [caption] - Optional caption for the image
+ * Sends an alert as a text message.
+ * @param {string} message
+ * @param {string=} recipient - Phone number, defaults to WHATSAPP_RECIPIENT_NUMBER
  * @returns {Promise<Object>} Response from WhatsApp API
  */
-async function sendImage(imagePath, caption) {
+async function sendAlert(message, recipient = config.whatsapp.recipientNumber) {
     try {
-        const mediaId = await uploadMedia(imagePath, 'image');
-
-        const messagePayload = {
-            messaging_product: 'whatsapp',
-            recipient_type: 'individual',
-            to: config.whatsapp.recipientNumber,
-            type: 'image',
-            image: {
-                id: mediaId
-            }
-        };
-        if (caption) {
-            messagePayload.image.caption = caption;
-        }
-
-        const response = await axios.post(
-            `${WHATSAPP_API_BASE_URL}/${config.whatsapp.phoneNumberId}/messages`,
-            messagePayload,
-            {
-                headers: {
-                    'Authorization': `Bearer ${config.whatsapp.accessToken}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-
-        logger.info(`Image sent to WhatsApp: ${path.basename(imagePath)}`);
-        return response.data;
+        const data = await sendText(message, recipient);
+        await trackMessage(data, { kind: 'alert', recipient });
+        logger.info('Alert sent to WhatsApp');
+        return data;
     } catch (error) {
-        logger.error('Failed to send image to WhatsApp:', error.response?.data || error.message);
-        throw new Error(`WhatsApp image send failed: ${error.response?.data?.error?.message || error.message}`);
+        logger.error('Failed to send alert to WhatsApp:', error.response?.data || error.message);
+        throw new Error(`WhatsApp alert send failed: ${error.response?.data?.error?.message || error.message}`);
     }
 }
 
 module.exports = {
     uploadMedia,
-    sendPDF,
-    sendPDFAsDocument,
-    sendImage,
-    buildOrderMessageBody,
-    sendOrderWithQRAttachment
+    checkTemplateConfig,
+    sendOrder,
+    sendOrderWithAttachment,
+    sendAlert,
+    canResendAsTemplate,
+    resendAsTemplate
 };
@@ -2,13 +2,29 @@ require('dotenv').config();
 const path = require('path');
 const logger = require('./logger');
 
-const requiredEnvVars = [
-    'WHATSAPP_ACCESS_TOKEN',
-    'WHATSAPP_PHONE_NUMBER_ID',
-    'WHATSAPP_RECIPIENT_NUMBER'
-];
+// Env vars each notification channel needs when it is listed in NOTIFY_CHANNELS
+const channelEnvVars = {
+    whatsapp: ['WHATSAPP_ACCESS_TOKEN', 'WHATSAPP_PHONE_NUMBER_ID', 'WHATSAPP_RECIPIENT_NUMBER'],
+    telegram: ['TELEGRAM_BOT_TOKEN', 'TELEGRAM_CHAT_ID'],
+    email: ['SMTP_HOST', 'EMAIL_FROM', 'EMAIL_TO'],
+    webhook: ['NOTIFY_WEBHOOK_URL']
+};
+
+// Without NOTIFY_CHANNELS: Telegram when a bot token is set, WhatsApp otherwise
+function getNotifyChannels() {
+    const channels = parseList(process.env.NOTIFY_CHANNELS);
+    if (channels.length > 0) return channels;
+    return [process.env.TELEGRAM_BOT_TOKEN ? 'telegram' : 'whatsapp'];
+}
 
 function validateConfig() {
+    const channels = getNotifyChannels();
+    const unknownChannels = channels.filter(channel => !channelEnvVars[channel]);
+    if (unknownChannels.length > 0) {
+        throw new Error(`Unknown NOTIFY_CHANNELS: ${unknownChannels.join(', ')} (allowed: ${Object.keys(channelEnvVars).join(', ')})`);
+    }
+
+    const requiredEnvVars = [...new Set(channels.flatMap(channel => channelEnvVars[channel]))];
     const missing = requiredEnvVars.filter(key => !process.env[key]);
 
     if (missing.length > 0) {
@@ -16,9 +32,57 @@ function validateConfig() {
         throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
     }
 
+    if (!process.env.PRINTBOX_WEBHOOK_SECRET) {
+        logger.warn('PRINTBOX_WEBHOOK_SECRET is not set: webhook signatures will NOT be verified');
+    }
+
+    if (process.env.WHATSAPP_VERIFY_TOKEN && !process.env.WHATSAPP_APP_SECRET) {
+        logger.warn('WHATSAPP_APP_SECRET is not set: WhatsApp status webhook signatures will NOT be verified');
+    }
+
+    // Download links in messages only work signed, and unsigned downloads need an API key
+    if (!process.env.DOWNLOAD_LINK_SECRET) {
+        logger.error('Missing required environment variable: DOWNLOAD_LINK_SECRET');
+        throw new Error('Missing required environment variable: DOWNLOAD_LINK_SECRET (used to sign download links)');
+    }
+
+    // Admin endpoints are always mounted, so running without keys has to be asked for explicitly
+    const hasApiKeys = ['ADMIN_API_KEYS', 'OPERATOR_API_KEYS', 'READONLY_API_KEYS'].some(key => parseList(process.env[key]).length > 0);
+    if (process.env.AUTH_DISABLED === 'true') {
+        logger.warn('AUTH_DISABLED=true: admin and report endpoints are NOT protected');
+    } else if (!hasApiKeys) {
+        throw new Error('No API keys configured (ADMIN_API_KEYS, OPERATOR_API_KEYS, READONLY_API_KEYS): set at least one, or AUTH_DISABLED=true to run without authentication');
+    }
+
+    const templateHeaders = ['document', 'none'];
+    if (process.env.WHATSAPP_TEMPLATE_HEADER && !templateHeaders.includes(process.env.WHATSAPP_TEMPLATE_HEADER)) {
+        throw new Error(`Invalid WHATSAPP_TEMPLATE_HEADER: ${process.env.WHATSAPP_TEMPLATE_HEADER} (allowed: ${templateHeaders.join(', ')})`);
+    }
+
+    const slugLinePositions = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+    if (process.env.SLUG_LINE_POSITION && !slugLinePositions.includes(process.env.SLUG_LINE_POSITION)) {
+        throw new Error(`Invalid SLUG_LINE_POSITION: ${process.env.SLUG_LINE_POSITION} (allowed: ${slugLinePositions.join(', ')})`);
+    }
+
     logger.info('Configuration validated successfully');
 }
 
+// Persistent runtime data (jobs, processed projects, money ledger) lives here
+const dataDir = process.env.DATA_DIR || path.join(process.cwd(), 'data');
+
+// Comma-separated list from an env var, e.g. "key1,key2"
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// Express "trust proxy" setting: true/false, a hop count, or addresses/subnets of the proxies
+function parseTrustProxy(value) {
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    if (/^\d+$/.test(value)) return parseInt(value, 10);
+    return parseList(value);
+}
+
 const config = {
     port: process.env.PORT || 3000,
     webhookPath: process.env.WEBHOOK_PATH || '/webhook',
@@ -26,16 +90,137 @@ const config = {
     whatsapp: {
         accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
         phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
-        recipientNumber: process.env.WHATSAPP_RECIPIENT_NUMBER
+        recipientNumber: process.env.WHATSAPP_RECIPIENT_NUMBER,
+        // Delivery status webhooks from Meta (see routes/whatsappWebhook.js)
+        webhookPath: process.env.WHATSAPP_WEBHOOK_PATH || '/whatsapp/webhook',
+        verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+        appSecret: process.env.WHATSAPP_APP_SECRET,
+        // Approved message template sent instead when the recipient is outside the 24-hour window
+        // (see services/whatsappService.js)
+        template: {
+            name: process.env.WHATSAPP_TEMPLATE_NAME,
+            // Defaults to the WhatsApp message language
+            language: process.env.WHATSAPP_TEMPLATE_LANGUAGE,
+            header: process.env.WHATSAPP_TEMPLATE_HEADER || 'document',
+            // Order fields for the body parameters {{1}}, {{2}}, ... in order, e.g. "orderId,pageCount|N/A"
+            params: parseList(process.env.WHATSAPP_TEMPLATE_PARAMS || 'orderId,quantity,pageCount,orderValue,total')
+        }
+    },
+    printbox: {
+        webhookSecret: process.env.PRINTBOX_WEBHOOK_SECRET,
+        signatureHeader: process.env.PRINTBOX_SIGNATURE_HEADER || 'X-Printbox-Signature',
+        timestampHeader: process.env.PRINTBOX_TIMESTAMP_HEADER || 'X-Printbox-Timestamp',
+        signatureToleranceSeconds: parseInt(process.env.PRINTBOX_SIGNATURE_TOLERANCE_SECONDS, 10) || 300
+    },
+    // Lets req.ip be the client address from X-Forwarded-For behind a reverse proxy
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+    auth: {
+        disabled: process.env.AUTH_DISABLED === 'true',
+        keys: {
+            admin: parseList(process.env.ADMIN_API_KEYS),
+            operator: parseList(process.env.OPERATOR_API_KEYS),
+            readonly: parseList(process.env.READONLY_API_KEYS)
+        },
+        maxFailedAttempts: parseInt(process.env.AUTH_MAX_FAILED_ATTEMPTS, 10) || 10,
+        failedAttemptWindowMs: (parseInt(process.env.AUTH_FAILED_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000
+    },
+    render: {
+        maxDownloadBytes: (parseInt(process.env.RENDER_MAX_DOWNLOAD_MB, 10) || 2048) * 1024 * 1024,
+        maxEntryBytes: (parseInt(process.env.RENDER_MAX_ENTRY_MB, 10) || 1024) * 1024 * 1024,
+        maxExtractBytes: (parseInt(process.env.RENDER_MAX_EXTRACT_MB, 10) || 2048) * 1024 * 1024,
+        maxArchiveEntries: parseInt(process.env.RENDER_MAX_ARCHIVE_ENTRIES, 10) || 1000,
+        downloadRetries: Number.isInteger(parseInt(process.env.RENDER_DOWNLOAD_RETRIES, 10))
+            ? parseInt(process.env.RENDER_DOWNLOAD_RETRIES, 10)
+            : 3
+    },
+    pdfWorkers: {
+        // PDF parsing/merging runs in worker threads so big books don't stall the HTTP server
+        concurrency: parseInt(process.env.PDF_WORKER_CONCURRENCY, 10) || 1,
+        taskTimeoutMs: (parseInt(process.env.PDF_WORKER_TIMEOUT_SECONDS, 10) || 300) * 1000,
+        maxMemoryMb: parseInt(process.env.PDF_WORKER_MAX_MEMORY_MB, 10) || 2048
+    },
+    imposition: {
+        // Saddle-stitch imposed PDF for MAGAZINE projects
+        enabled: process.env.IMPOSITION_ENABLED !== 'false',
+        sheetSize: process.env.IMPOSITION_SHEET_SIZE || 'A3',
+        creepMm: parseFloat(process.env.IMPOSITION_CREEP_MM) || 0
+    },
+    jobTicket: {
+        // Production job ticket page in front of each merged PDF
+        enabled: process.env.JOB_TICKET_ENABLED === 'true'
+    },
+    preflight: {
+        // Checks on the rendered cover/pages PDFs before merging
+        enabled: process.env.PREFLIGHT_ENABLED !== 'false',
+        // Fail the project on preflight errors instead of only reporting them
+        blockOnError: process.env.PREFLIGHT_BLOCK_ON_ERROR === 'true'
+    },
+    combinedPdf: {
+        // Extra single PDF with every project of a multi-project order
+        enabled: process.env.COMBINED_PDF_ENABLED === 'true'
+    },
+    slugLine: {
+        // Order/page identifier stamped in the bleed or margin of every merged page
+        enabled: process.env.SLUG_LINE_ENABLED === 'true',
+        position: process.env.SLUG_LINE_POSITION || 'bottom-left',
+        fontSize: parseFloat(process.env.SLUG_LINE_FONT_SIZE) || 6,
+        // Family IDs to stamp; empty stamps every family
+        families: parseList(process.env.SLUG_LINE_FAMILIES)
+    },
+    downloadLinks: {
+        secret: process.env.DOWNLOAD_LINK_SECRET,
+        // Defaults to the file expiry (10 days)
+        ttlHours: parseFloat(process.env.DOWNLOAD_LINK_TTL_HOURS) || 10 * 24
     },
     telegram: {
         botToken: process.env.TELEGRAM_BOT_TOKEN,
         chatId: process.env.TELEGRAM_CHAT_ID
     },
+    email: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        // true for implicit TLS (port 465); otherwise STARTTLS is used when the server offers it
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+        from: process.env.EMAIL_FROM,
+        to: parseList(process.env.EMAIL_TO)
+    },
+    notifyWebhook: {
+        url: process.env.NOTIFY_WEBHOOK_URL,
+        secret: process.env.NOTIFY_WEBHOOK_SECRET
+    },
+    notifications: {
+        // Every order message and alert goes to all of these (see services/notificationService.js)
+        channels: getNotifyChannels(),
+        knownChannels: Object.keys(channelEnvVars)
+    },
+    messages: {
+        // Order message templates, see services/templateService.js
+        templatesDir: process.env.MESSAGE_TEMPLATES_DIR || path.join(process.cwd(), 'config', 'templates'),
+        language: process.env.MESSAGE_LANGUAGE || 'en',
+        // e.g. "whatsapp:ar,email:en"
+        channelLanguages: Object.fromEntries(parseList(process.env.MESSAGE_CHANNEL_LANGUAGES).map(entry => entry.split(':').map(part => part.trim())))
+    },
     nodeEnv: process.env.NODE_ENV || 'development',
     tempDir: './temp',
     fileExpiryDays: 10,
-    moneyFilePath: process.env.MONEY_FILE_PATH || path.join(process.cwd(), 'data', 'money.csv')
+    dataDir,
+    jobsDir: process.env.JOBS_DIR || path.join(dataDir, 'jobs'),
+    jobRetentionDays: parseInt(process.env.JOB_RETENTION_DAYS, 10) || 30,
+    processedRegistryPath: process.env.PROCESSED_REGISTRY_PATH || path.join(dataDir, 'processed-projects.json'),
+    messageStatusPath: process.env.MESSAGE_STATUS_PATH || path.join(dataDir, 'whatsapp-messages.json'),
+    messageStatusRetentionDays: parseInt(process.env.MESSAGE_STATUS_RETENTION_DAYS, 10) || 30,
+    pricingRulesPath: process.env.PRICING_RULES_PATH || path.join(process.cwd(), 'config', 'pricing.json'),
+    preflightRulesPath: process.env.PREFLIGHT_RULES_PATH || path.join(process.cwd(), 'config', 'preflight.json'),
+    productSpecsPath: process.env.PRODUCT_SPECS_PATH || path.join(process.cwd(), 'config', 'products.json'),
+    renderRolesPath: process.env.RENDER_ROLES_PATH || path.join(process.cwd(), 'config', 'render-roles.json'),
+    routingRulesPath: process.env.ROUTING_RULES_PATH || path.join(process.cwd(), 'config', 'routing.json'),
+    ledgerFilePath: process.env.LEDGER_FILE_PATH || path.join(dataDir, 'ledger.jsonl'),
+    periodsFilePath: process.env.PERIODS_FILE_PATH || path.join(dataDir, 'periods.json'),
+    statementsDir: process.env.STATEMENTS_DIR || path.join(dataDir, 'statements'),
+    // Legacy money CSV, imported into the ledger on first start
+    moneyFilePath: process.env.MONEY_FILE_PATH || path.join(dataDir, 'money.csv')
 };
 
 // Validate on module load
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs').promises;
+const { pipeline } = require('stream/promises');
+
+// Hex digest length -> algorithm, for checksums given without an explicit algorithm
+const ALGORITHMS_BY_LENGTH = {
+    32: 'md5',
+    40: 'sha1',
+    64: 'sha256'
+};
+
+/**
+ * Computes the hex digest of a file without loading it into memory.
+ * @param {string} filePath
+ * @param {string} algorithm - md5, sha1 or sha256
+ * @returns {Promise<string>}
+ */
+async function hashFile(filePath, algorithm) {
+    const hash = crypto.createHash(algorithm);
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+}
+
+/**
+ * Reads the expected size and checksum from a Printbox descriptor (a `render.files` entry or `render` itself).
+ * Accepts `md5` / `sha1` / `sha256` fields, or `checksum` as "<algorithm>:<hex>" or bare hex.
+ * @param {Object} descriptor
+ * @returns {{size: number|null, checksum: {algorithm: string, value: string}|null}}
+ */
+function getExpectedIntegrity(descriptor) {
+    if (!descriptor || typeof descriptor !== 'object') {
+        return { size: null, checksum: null };
+    }
+
+    const size = Number.isInteger(descriptor.size) && descriptor.size >= 0 ? descriptor.size : null;
+
+    let checksum = null;
+    for (const algorithm of ['sha256', 'sha1', 'md5']) {
+        if (typeof descriptor[algorithm] === 'string' && descriptor[algorithm]) {
+            checksum = { algorithm, value: descriptor[algorithm].toLowerCase() };
+            break;
+        }
+    }
+
+    if (!checksum && typeof descriptor.checksum === 'string' && descriptor.checksum) {
+        const [prefix, value] = descriptor.checksum.includes(':')
+            ? descriptor.checksum.split(':', 2)
+            : [null, descriptor.checksum];
+        const algorithm = prefix ? prefix.toLowerCase().replace('-', '') : ALGORITHMS_BY_LENGTH[value.length];
+        if (algorithm && ['md5', 'sha1', 'sha256'].includes(algorithm)) {
+            checksum = { algorithm, value: value.toLowerCase() };
+        }
+    }
+
+    return { size, checksum };
+}
+
+/**
+ * Verifies a file against the size / checksum in a Printbox descriptor, if any are given.
+ * @param {string} filePath
+ * @param {Object} descriptor - `render.files` entry or `render` object
+ * @returns {Promise<{checked: Array<string>}>} Which properties were verified
+ * @throws {Error} When the size or checksum does not match
+ */
+async function verifyFile(filePath, descriptor) {
+    const { size, checksum } = getExpectedIntegrity(descriptor);
+    const checked = [];
+
+    if (size !== null) {
+        const stats = await fsPromises.stat(filePath);
+        if (stats.size !== size) {
+            throw new Error(`Size mismatch for ${filePath}: expected ${size} bytes, got ${stats.size}`);
+        }
+        checked.push('size');
+    }
+
+    if (checksum) {
+        const actual = await hashFile(filePath, checksum.algorithm);
+        if (actual !== checksum.value) {
+            throw new Error(`${checksum.algorithm} mismatch for ${filePath}: expected ${checksum.value}, got ${actual}`);
+        }
+        checked.push(checksum.algorithm);
+    }
+
+    return { checked };
+}
+
+module.exports = {
+    hashFile,
+    getExpectedIntegrity,
+    verifyFile
+};
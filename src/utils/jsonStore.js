@@ -0,0 +1,38 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+let tmpCounter = 0;
+
+/**
+ * Reads and parses a JSON file.
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed JSON content or the fallback
+ */
+async function readJson(filePath, fallback = null) {
+    try {
+        const content = await fs.readFile(filePath, 'utf8');
+        return JSON.parse(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') return fallback;
+        throw error;
+    }
+}
+
+/**
+ * Writes a JSON file atomically (write to a temp file, then rename over the target)
+ * so a crash mid-write never leaves a truncated file behind.
+ * @param {string} filePath - Path to the JSON file
+ * @param {*} data - Data to serialize
+ */
+async function writeJson(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${++tmpCounter}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+    await fs.rename(tmpPath, filePath);
+}
+
+module.exports = {
+    readJson,
+    writeJson
+};
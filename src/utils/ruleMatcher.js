@@ -0,0 +1,86 @@
+/**
+ * Checks a single value against a rule condition.
+ * A condition can be:
+ * - a scalar: exact match (numbers compared numerically, so "296" matches 296)
+ * - an array: matches if any element matches (e.g. exact page counts [24, 28])
+ * - an object with `min` and/or `max`: inclusive range
+ * @param {*} actual - Value from the facts being matched
+ * @param {*} condition - Condition from the rule
+ * @returns {boolean}
+ */
+function matchesCondition(actual, condition) {
+    if (Array.isArray(condition)) {
+        return condition.some(c => matchesCondition(actual, c));
+    }
+
+    if (actual === undefined || actual === null) {
+        return false;
+    }
+
+    if (condition !== null && typeof condition === 'object') {
+        const value = Number(actual);
+        if (Number.isNaN(value)) return false;
+        if (condition.min !== undefined && value < condition.min) return false;
+        if (condition.max !== undefined && value > condition.max) return false;
+        return true;
+    }
+
+    if (typeof condition === 'number') {
+        return Number(actual) === condition;
+    }
+
+    return String(actual) === String(condition);
+}
+
+/**
+ * Checks whether every condition of a rule's `match` block holds for the given facts.
+ * An empty or missing match block matches everything (catch-all rule).
+ * @param {Object|undefined} match - Map of fact name to condition
+ * @param {Object} facts - Map of fact name to value
+ * @returns {boolean}
+ */
+function matchesRule(match, facts) {
+    if (!match) return true;
+    return Object.entries(match).every(([key, condition]) => matchesCondition(facts[key], condition));
+}
+
+/**
+ * Validates a condition, returning an error message or null.
+ * @param {*} condition
+ * @returns {string|null}
+ */
+function validateCondition(condition) {
+    if (Array.isArray(condition)) {
+        if (condition.length === 0) return 'empty list';
+        for (const c of condition) {
+            const error = validateCondition(c);
+            if (error) return error;
+        }
+        return null;
+    }
+
+    if (condition !== null && typeof condition === 'object') {
+        const keys = Object.keys(condition);
+        if (keys.length === 0 || keys.some(k => k !== 'min' && k !== 'max')) {
+            return 'range must only contain "min" and/or "max"';
+        }
+        if (keys.some(k => typeof condition[k] !== 'number')) {
+            return 'range bounds must be numbers';
+        }
+        if (condition.min !== undefined && condition.max !== undefined && condition.min > condition.max) {
+            return '"min" is greater than "max"';
+        }
+        return null;
+    }
+
+    if (typeof condition !== 'number' && typeof condition !== 'string') {
+        return 'must be a number, string, list or {min, max} range';
+    }
+    return null;
+}
+
+module.exports = {
+    matchesCondition,
+    matchesRule,
+    validateCondition
+};
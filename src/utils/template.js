@@ -0,0 +1,145 @@
+/*
+ * Minimal logic-less templates for message texts:
+ *   {{name}}            value (empty when missing)
+ *   {{name|text}}       value, or `text` when missing
+ *   {{#name}}...{{/name}} block shown when the value is set (not null, false, '' or an empty list);
+ *                       repeated for each item of a list, with the item's fields available inside
+ *   {{^name}}...{{/name}} block shown when the value is not set
+ *   {{.}}               the current list item itself
+ * A line holding only a block tag is dropped entirely, so blocks can sit on lines of their own.
+ */
+
+const TAG_PATTERN = /\{\{\s*([#^/]?)\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function lineOf(source, offset) {
+    return source.slice(0, offset).split('\n').length;
+}
+
+/**
+ * Parses a template into a tree of text, value and block nodes.
+ * @param {string} source
+ * @returns {Array<Object>}
+ * @throws {Error} On a malformed tag or unbalanced blocks, naming the line
+ */
+function parseTemplate(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let cursor = 0;
+
+    const pushText = (end) => {
+        const text = source.slice(cursor, end);
+        const stray = text.indexOf('{{');
+        if (stray !== -1) {
+            throw new Error(`malformed tag at line ${lineOf(source, cursor + stray)}`);
+        }
+        if (text) stack[stack.length - 1].children.push({ type: 'text', value: text });
+    };
+
+    for (const match of source.matchAll(TAG_PATTERN)) {
+        const [tag, sigil, name, fallback] = match;
+        const start = match.index;
+        const end = start + tag.length;
+        const line = lineOf(source, start);
+
+        // Block tags alone on their line take the whole line with them
+        let textEnd = start;
+        let next = end;
+        if (sigil) {
+            const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+            const newline = source.indexOf('\n', end);
+            const lineEnd = newline === -1 ? source.length : newline;
+            if (lineStart >= cursor && !source.slice(lineStart, start).trim() && !source.slice(end, lineEnd).trim()) {
+                textEnd = lineStart;
+                next = newline === -1 ? source.length : newline + 1;
+            }
+        }
+        pushText(textEnd);
+        cursor = next;
+
+        if (sigil && fallback !== undefined) {
+            throw new Error(`block tag {{${sigil}${name}}} cannot have a default (line ${line})`);
+        }
+
+        if (sigil === '/') {
+            const open = stack.pop();
+            if (open === root || open.name !== name) {
+                throw new Error(`unexpected {{/${name}}} at line ${line}${open !== root ? ` ({{${open.inverted ? '^' : '#'}${open.name}}} is still open)` : ''}`);
+            }
+        } else if (sigil) {
+            const block = { type: 'block', name, inverted: sigil === '^', line, children: [] };
+            stack[stack.length - 1].children.push(block);
+            stack.push(block);
+        } else {
+            stack[stack.length - 1].children.push({ type: 'value', name, fallback, line });
+        }
+    }
+    pushText(source.length);
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        throw new Error(`{{${open.inverted ? '^' : '#'}${open.name}}} opened at line ${open.line} is never closed`);
+    }
+    return root.children;
+}
+
+/**
+ * Lists the names used by a parsed template.
+ * @param {Array<Object>} nodes - See parseTemplate
+ * @returns {Array<{name: string, line: number}>}
+ */
+function listNames(nodes) {
+    return nodes.flatMap((node) => {
+        if (node.type === 'value') return [{ name: node.name, line: node.line }];
+        if (node.type === 'block') return [{ name: node.name, line: node.line }, ...listNames(node.children)];
+        return [];
+    });
+}
+
+function isSet(value) {
+    return value !== undefined && value !== null && value !== false && value !== ''
+        && !(Array.isArray(value) && value.length === 0);
+}
+
+function lookup(contexts, name) {
+    if (name === '.') return contexts[contexts.length - 1];
+    for (let i = contexts.length - 1; i >= 0; i--) {
+        const context = contexts[i];
+        if (context !== null && typeof context === 'object' && Object.prototype.hasOwnProperty.call(context, name)) {
+            return context[name];
+        }
+    }
+    return undefined;
+}
+
+function renderNodes(nodes, contexts) {
+    return nodes.map((node) => {
+        if (node.type === 'text') return node.value;
+
+        const value = lookup(contexts, node.name);
+        if (node.type === 'value') {
+            if (isSet(value)) return String(value);
+            return node.fallback !== undefined ? node.fallback : '';
+        }
+
+        if (node.inverted) return isSet(value) ? '' : renderNodes(node.children, contexts);
+        if (!isSet(value)) return '';
+        if (Array.isArray(value)) return value.map(item => renderNodes(node.children, [...contexts, item])).join('');
+        return renderNodes(node.children, typeof value === 'object' ? [...contexts, value] : contexts);
+    }).join('');
+}
+
+/**
+ * Renders a parsed template. Trailing whitespace is removed.
+ * @param {Array<Object>} nodes - See parseTemplate
+ * @param {Object} view - Values by name
+ * @returns {string}
+ */
+function renderTemplate(nodes, view) {
+    return renderNodes(nodes, [view]).trimEnd();
+}
+
+module.exports = {
+    parseTemplate,
+    listNames,
+    renderTemplate
+};
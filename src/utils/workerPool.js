@@ -0,0 +1,175 @@
+const { Worker } = require('worker_threads');
+const logger = require('./logger');
+
+/*
+ * Bounded pool of worker threads running one script. Tasks are queued and handed to at most `size`
+ * workers, one task per worker at a time. The worker script answers each `{id, type, payload}` message
+ * with `{id, result}` or `{id, error}`. While running, a task can ask the main thread for input by sending
+ * `{id, request}`; the task's `onRequest` handler answers with `{id, response}` or `{id, requestError}`.
+ * A worker that times out, crashes or hits its memory limit is terminated (CPU-bound work cannot be
+ * interrupted any other way) and replaced by a fresh one on demand.
+ */
+
+/**
+ * Creates a worker pool. Workers are started lazily and do not keep the process alive while idle.
+ * @param {Object} options
+ * @param {string} options.name - Used in logs and error messages
+ * @param {string} options.script - Absolute path of the worker script
+ * @param {number} options.size - Maximum number of workers (tasks running at once)
+ * @param {number} options.taskTimeoutMs - A task running longer than this fails and its worker is terminated
+ * @param {Object=} options.resourceLimits - worker_threads resource limits (e.g. `maxOldGenerationSizeMb`)
+ * @returns {{run: function(string, Object, Array=, function=): Promise<Object>, getStats: function(): Object}}
+ */
+function createWorkerPool({ name, script, size, taskTimeoutMs, resourceLimits = {} }) {
+    const workers = new Set();
+    const idle = [];
+    const queue = [];
+    let nextTaskId = 1;
+
+    function spawn() {
+        const worker = new Worker(script, { resourceLimits });
+        worker.task = null;
+
+        worker.on('message', ({ id, result, error, request }) => {
+            const task = worker.task;
+            if (!task || task.id !== id) return;
+
+            if (request !== undefined) {
+                answer(worker, task, request);
+                return;
+            }
+
+            clearTimeout(task.timer);
+            worker.task = null;
+            idle.push(worker);
+            if (error) {
+                task.reject(new Error(error));
+            } else {
+                task.resolve(result);
+            }
+            dispatch();
+        });
+
+        // 'error' covers uncaught exceptions and ERR_WORKER_OUT_OF_MEMORY; 'exit' follows it
+        worker.on('error', (error) => {
+            retire(worker, new Error(`${name} worker failed: ${error.message}`));
+        });
+        worker.on('exit', (code) => {
+            retire(worker, new Error(`${name} worker exited with code ${code}`));
+        });
+
+        // After the listeners: adding a 'message' listener refs the worker again
+        worker.unref();
+
+        workers.add(worker);
+        logger.info(`Started ${name} worker (${workers.size}/${size})`);
+        return worker;
+    }
+
+    /**
+     * Answers a request from a running task with its `onRequest` handler.
+     * @param {Worker} worker
+     * @param {Object} task
+     * @param {*} request
+     */
+    async function answer(worker, task, request) {
+        let reply;
+        try {
+            if (!task.onRequest) throw new Error(`${name} task "${task.type}" sent a request but has no request handler`);
+            reply = { id: task.id, response: await task.onRequest(request) };
+        } catch (error) {
+            reply = { id: task.id, requestError: error.message };
+        }
+        // The task may have timed out or its worker failed in the meantime
+        if (worker.task !== task) return;
+        try {
+            worker.postMessage(reply);
+        } catch (error) {
+            retire(worker, new Error(`${name} worker could not receive a request answer: ${error.message}`));
+        }
+    }
+
+    /**
+     * Removes a worker from the pool, failing the task it was running.
+     * @param {Worker} worker
+     * @param {Error} error - Passed to the running task, if any
+     */
+    function retire(worker, error) {
+        if (!workers.delete(worker)) return;
+
+        const idleIndex = idle.indexOf(worker);
+        if (idleIndex !== -1) idle.splice(idleIndex, 1);
+
+        const task = worker.task;
+        worker.task = null;
+        if (task) {
+            clearTimeout(task.timer);
+            logger.error(`${name} task "${task.type}" failed: ${error.message}`);
+            task.reject(error);
+        }
+
+        worker.terminate().catch(() => {});
+        dispatch();
+    }
+
+    function dispatch() {
+        while (queue.length > 0) {
+            let worker = idle.pop();
+            if (!worker) {
+                if (workers.size >= size) return;
+                worker = spawn();
+            }
+            start(worker, queue.shift());
+        }
+    }
+
+    function start(worker, task) {
+        worker.task = task;
+        task.timer = setTimeout(() => {
+            retire(worker, new Error(`${name} task "${task.type}" timed out after ${taskTimeoutMs} ms`));
+        }, taskTimeoutMs);
+
+        try {
+            worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, task.transferList);
+        } catch (error) {
+            clearTimeout(task.timer);
+            worker.task = null;
+            idle.push(worker);
+            task.reject(error);
+        }
+    }
+
+    /**
+     * Queues a task and resolves with the worker's result.
+     * @param {string} type - Task name understood by the worker script
+     * @param {Object} payload - Structured-cloneable task input
+     * @param {Array<ArrayBuffer>=} transferList - Buffers to move to the worker instead of copying
+     *     (they become unusable in the calling thread)
+     * @param {function(*): Promise<*>=} onRequest - Answers the task's requests to the main thread
+     * @returns {Promise<Object>}
+     */
+    function run(type, payload, transferList = [], onRequest = null) {
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextTaskId++, type, payload, transferList, onRequest, resolve, reject, timer: null });
+            dispatch();
+        });
+    }
+
+    /**
+     * @returns {{size: number, workers: number, busy: number, queued: number}}
+     */
+    function getStats() {
+        return {
+            size,
+            workers: workers.size,
+            busy: workers.size - idle.length,
+            queued: queue.length
+        };
+    }
+
+    return { run, getStats };
+}
+
+module.exports = {
+    createWorkerPool
+};
@@ -0,0 +1,647 @@
+const fs = require('fs').promises;
+const { parentPort } = require('worker_threads');
+const { PDFDocument, PDFHexString, PDFName, StandardFonts, rgb } = require('pdf-lib');
+const QRCode = require('qrcode');
+
+/*
+ * PDF worker thread, run by the pool in pdfService (see utils/workerPool.js). Does all the pdf-lib work that
+ * would otherwise block the main event loop. A project's render PDFs are parsed once and every later step
+ * (preflight inspection, merge, page boxes, slug lines, imposition, job ticket) works on the loaded documents.
+ * Render PDFs are read from disk here, so their bytes never pass through the main thread; output bytes are
+ * transferred back, not copied. A task can ask the main thread for what it can't decide itself
+ * (the preflight verdict, the job ticket fields) and waits for the answer.
+ */
+
+const MM_TO_PT = 72 / 25.4;
+
+function formatMm(width, height) {
+    return `${Math.round(width / MM_TO_PT)}x${Math.round(height / MM_TO_PT)}mm`;
+}
+
+/**
+ * Replaces characters the standard PDF fonts cannot encode (WinAnsi) so drawText does not throw.
+ * @param {*} value
+ * @returns {string}
+ */
+function toWinAnsi(value) {
+    return String(value).replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+/**
+ * Runs one step of a task, prefixing its errors with the step name.
+ * @param {string} name - e.g. "PDF merge"
+ * @param {function(): Promise<*>} fn
+ * @returns {Promise<*>}
+ */
+async function step(name, fn) {
+    try {
+        return await fn();
+    } catch (error) {
+        throw new Error(`${name} failed: ${error.message}`);
+    }
+}
+
+/**
+ * Reads and parses render PDFs. Encrypted and unreadable files are kept with their problem instead of failing,
+ * so preflight can report them.
+ * @param {Array<{filename: string, role: string, path: string}>} parts
+ * @returns {Promise<Array<{filename: string, role: string, bytes: Buffer, doc: PDFDocument|null, encrypted: boolean, error: string|null}>>}
+ */
+async function loadParts(parts) {
+    const loaded = [];
+    for (const { filename, role, path } of parts) {
+        const bytes = await fs.readFile(path);
+        try {
+            const doc = await PDFDocument.load(bytes, { ignoreEncryption: true });
+            // Parsing is lenient: a file without a usable page tree only fails here
+            if (!doc.isEncrypted) doc.getPageCount();
+            loaded.push({ filename, role, bytes, doc, encrypted: doc.isEncrypted, error: null });
+        } catch (error) {
+            loaded.push({ filename, role, bytes, doc: null, encrypted: false, error: error.message });
+        }
+    }
+    return loaded;
+}
+
+/**
+ * Returns the displayed size of each page (rotation applied), rounded to 0.1 pt.
+ * @param {PDFDocument} doc
+ * @returns {Array<{width: number, height: number}>}
+ */
+function getPageSizes(doc) {
+    return doc.getPages().map((page) => {
+        const { width, height } = page.getSize();
+        const rotated = page.getRotation().angle % 180 !== 0;
+        return {
+            width: Math.round((rotated ? height : width) * 10) / 10,
+            height: Math.round((rotated ? width : height) * 10) / 10
+        };
+    });
+}
+
+/**
+ * Describes one or more loaded parts as a single document for preflight (see preflightService.runPreflight).
+ * @param {Array<Object>} parts - From loadParts
+ * @returns {{encrypted: boolean, error: string|null, pageSizes: Array<{width: number, height: number}>}}
+ */
+function describeDocument(parts) {
+    return {
+        encrypted: parts.some(part => part.encrypted),
+        error: parts.find(part => part.error)?.error || null,
+        pageSizes: parts.filter(part => part.doc && !part.encrypted).flatMap(part => getPageSizes(part.doc))
+    };
+}
+
+/**
+ * Merges loaded parts in order. A single part is used as it is.
+ * @param {Array<Object>} parts - From loadParts
+ * @returns {Promise<PDFDocument>}
+ */
+async function mergeParts(parts) {
+    for (const part of parts) {
+        if (part.error) throw new Error(`${part.filename} could not be read: ${part.error}`);
+        if (part.encrypted) throw new Error(`${part.filename} is encrypted`);
+    }
+    if (parts.length === 1) return parts[0].doc;
+
+    const merged = await PDFDocument.create();
+    for (const part of parts) {
+        const pages = await merged.copyPages(part.doc, part.doc.getPageIndices());
+        pages.forEach(page => merged.addPage(page));
+    }
+    return merged;
+}
+
+/**
+ * Normalizes every page to a product spec: MediaBox, CropBox and BleedBox become the trim size plus bleed,
+ * and TrimBox the trim size, so the RIP does not have to guess. Pages close to the spec (between trim and
+ * trim + bleed, within tolerance) are centred without scaling; other pages are scaled to fit, down to the
+ * bleed size or up to the trim size. Pages with a TrimBox already at the spec keep their position.
+ * Pages more than 1.5x as wide as the spec are taken to be cover spreads and left unchanged.
+ * @param {PDFDocument} doc - Merged PDF, changed in place
+ * @param {{name: string, trimWidthMm: number, trimHeightMm: number, bleedMm: number, toleranceMm: number}} spec - See productService
+ * @returns {Array<string>} A description of each page changed
+ */
+function normalizePageBoxes(doc, spec) {
+    const trimWidth = spec.trimWidthMm * MM_TO_PT;
+    const trimHeight = spec.trimHeightMm * MM_TO_PT;
+    const bleed = spec.bleedMm * MM_TO_PT;
+    const tolerance = spec.toleranceMm * MM_TO_PT;
+    const fixups = [];
+
+    doc.getPages().forEach((page, index) => {
+        const label = `Page ${index + 1}`;
+        // Boxes are in unrotated page space, so swap the spec for pages displayed rotated
+        const rotated = page.getRotation().angle % 180 !== 0;
+        const [tw, th] = rotated ? [trimHeight, trimWidth] : [trimWidth, trimHeight];
+        const [bw, bh] = [tw + 2 * bleed, th + 2 * bleed];
+        const media = page.getMediaBox();
+
+        if (media.width > 1.5 * bw) {
+            fixups.push(`${label}: ${formatMm(media.width, media.height)} looks like a cover spread, left unchanged`);
+            return;
+        }
+
+        const hasTrimBox = Boolean(page.node.get(PDFName.of('TrimBox')));
+        const trim = hasTrimBox ? page.getTrimBox() : null;
+        const trimAtSpec = trim && Math.abs(trim.width - tw) <= tolerance && Math.abs(trim.height - th) <= tolerance;
+        const fitsSpec = media.width >= tw - tolerance && media.width <= bw + tolerance
+            && media.height >= th - tolerance && media.height <= bh + tolerance;
+        const isFullBleed = Math.abs(media.width - bw) <= tolerance && Math.abs(media.height - bh) <= tolerance;
+
+        let source = media;
+        let scale = 1;
+        if (trimAtSpec) {
+            source = trim;
+        } else if (!fitsSpec) {
+            scale = media.width > bw || media.height > bh
+                ? Math.min(bw / media.width, bh / media.height)
+                : Math.min(tw / media.width, th / media.height);
+            page.scaleContent(scale, scale);
+            page.scaleAnnotations(scale, scale);
+        }
+
+        const centerX = (source.x + source.width / 2) * scale;
+        const centerY = (source.y + source.height / 2) * scale;
+        page.setMediaBox(centerX - bw / 2, centerY - bh / 2, bw, bh);
+        page.setCropBox(centerX - bw / 2, centerY - bh / 2, bw, bh);
+        page.setBleedBox(centerX - bw / 2, centerY - bh / 2, bw, bh);
+        page.setTrimBox(centerX - tw / 2, centerY - th / 2, tw, th);
+
+        if (scale !== 1) {
+            fixups.push(`${label}: scaled ${formatMm(media.width, media.height)} to ${Math.round(scale * 1000) / 10}%`);
+        } else if (!trimAtSpec && !isFullBleed) {
+            fixups.push(`${label}: centred ${formatMm(media.width, media.height)} on ${formatMm(bw, bh)}`);
+        } else if (!hasTrimBox) {
+            fixups.push(`${label}: added TrimBox/BleedBox`);
+        }
+    });
+
+    return fixups;
+}
+
+/**
+ * Builds an SVG path of a QR code's dark modules, one unit per module, for vector drawing with drawSvgPath.
+ * @param {string} text
+ * @returns {{path: string, size: number}} Path and the number of modules per side
+ */
+function getQRCodePath(text) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'L' });
+    let svgPath = '';
+    for (let row = 0; row < modules.size; row++) {
+        for (let col = 0; col < modules.size; col++) {
+            if (modules.get(row, col)) {
+                svgPath += `M${col} ${row}h1v1h-1z`;
+            }
+        }
+    }
+    return { path: svgPath, size: modules.size };
+}
+
+/**
+ * Draws a slug line (order reference, project index, page number/total and a tiny QR of the same text)
+ * on every page, so loose pages can be traced back to their order after trimming.
+ * The slug goes in the bleed (between TrimBox and MediaBox) when it fits there, otherwise in the page margin.
+ * @param {PDFDocument} doc - Merged PDF, changed in place
+ * @param {{orderReference: string, projectIndex: number, position: string, fontSize: number}} slug - position:
+ *     top-left, top-right, bottom-left or bottom-right (checked by config.js)
+ */
+async function stampSlugLines(doc, { orderReference, projectIndex, position, fontSize }) {
+    const [vertical, horizontal] = position.split('-');
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const pages = doc.getPages();
+
+    const qrSize = fontSize * 2.5;
+    const padding = fontSize / 2;
+
+    pages.forEach((page, index) => {
+        const text = toWinAnsi(`${orderReference} | Project ${projectIndex} | Page ${index + 1}/${pages.length}`);
+        const qr = getQRCodePath(text);
+        const media = page.getMediaBox();
+        const trim = page.getTrimBox();
+
+        const bleed = vertical === 'top'
+            ? (media.y + media.height) - (trim.y + trim.height)
+            : trim.y - media.y;
+        const inBleed = bleed >= qrSize;
+
+        // Bottom edge of the slug band
+        let y;
+        if (vertical === 'bottom') {
+            y = inBleed ? media.y + (bleed - qrSize) / 2 : trim.y + padding;
+        } else {
+            y = inBleed ? trim.y + trim.height + (bleed - qrSize) / 2 : trim.y + trim.height - padding - qrSize;
+        }
+
+        const slugWidth = qrSize + padding + font.widthOfTextAtSize(text, fontSize);
+        const x = horizontal === 'left' ? trim.x + padding : trim.x + trim.width - padding - slugWidth;
+
+        page.drawSvgPath(qr.path, { x, y: y + qrSize, scale: qrSize / qr.size, color: rgb(0, 0, 0) });
+        page.drawText(text, {
+            x: x + qrSize + padding,
+            y: y + (qrSize - fontSize) / 2 + fontSize * 0.2,
+            size: fontSize,
+            font,
+            color: rgb(0, 0, 0)
+        });
+    });
+}
+
+// Sheet sizes in millimetres (width x height, landscape)
+const SHEET_SIZES_MM = {
+    A4: [297, 210],
+    A3: [420, 297],
+    SRA3: [450, 320],
+    TABLOID: [431.8, 279.4]
+};
+
+/**
+ * Resolves a sheet size name (A4, A3, SRA3, TABLOID) or "<width>x<height>" in mm to landscape points.
+ * @param {string} sheetSize
+ * @returns {{width: number, height: number}}
+ */
+function getSheetSize(sheetSize) {
+    const name = String(sheetSize || '').trim().toUpperCase();
+    let dimensions = SHEET_SIZES_MM[name];
+
+    if (!dimensions) {
+        const match = /^(\d+(?:\.\d+)?)\s*X\s*(\d+(?:\.\d+)?)(?:\s*MM)?$/.exec(name);
+        if (!match) {
+            throw new Error(`Unknown imposition sheet size: ${sheetSize}`);
+        }
+        dimensions = [parseFloat(match[1]), parseFloat(match[2])];
+    }
+
+    return {
+        width: Math.max(...dimensions) * MM_TO_PT,
+        height: Math.min(...dimensions) * MM_TO_PT
+    };
+}
+
+/**
+ * Returns the printer-spread page order for a saddle-stitched booklet.
+ * Each sheet has a front and a back side with a left and right page (0-based reading order indices).
+ * @param {number} pageCount - Number of pages, already padded to a multiple of 4
+ * @returns {Array<{sheet: number, side: 'front'|'back', left: number, right: number}>}
+ */
+function getSaddleStitchSpreads(pageCount) {
+    const spreads = [];
+    for (let sheet = 0; sheet < pageCount / 4; sheet++) {
+        spreads.push({ sheet, side: 'front', left: pageCount - 1 - 2 * sheet, right: 2 * sheet });
+        spreads.push({ sheet, side: 'back', left: 2 * sheet + 1, right: pageCount - 2 - 2 * sheet });
+    }
+    return spreads;
+}
+
+/**
+ * Imposes a reading-order PDF as a 2-up saddle-stitch booklet.
+ * Pages are reordered into printer spreads, padded with blank pages to a multiple of 4,
+ * scaled to fit half a sheet and placed against the fold. With creep compensation, pages on
+ * inner sheets are shifted towards the spine by `creepMm` per sheet (clipped at the fold).
+ * @param {PDFDocument} source - Reading-order PDF
+ * @param {{sheetSize?: string, creepMm?: number}} options
+ * @returns {Promise<PDFDocument>} Imposed PDF
+ */
+async function imposeSaddleStitch(source, { sheetSize = 'A3', creepMm = 0 }) {
+    const sourcePages = source.getPages();
+    const paddedCount = Math.ceil(sourcePages.length / 4) * 4;
+    const sheet = getSheetSize(sheetSize);
+    const halfWidth = sheet.width / 2;
+    const creep = Math.max(creepMm, 0) * MM_TO_PT;
+
+    const imposed = await PDFDocument.create();
+
+    for (const spread of getSaddleStitchSpreads(paddedCount)) {
+        const sheetPage = imposed.addPage([sheet.width, sheet.height]);
+        const shift = creep * spread.sheet;
+
+        for (const position of ['left', 'right']) {
+            const page = sourcePages[spread[position]];
+            if (!page) continue; // Padding page stays blank
+
+            // Impose the trimmed page (TrimBox falls back to CropBox/MediaBox), so bleed does not cross the fold
+            const trim = page.getTrimBox();
+            const { width, height } = trim;
+            const scale = Math.min(halfWidth / width, sheet.height / height);
+
+            // Clip the spine edge by the creep shift so the page does not cross the fold
+            const clip = Math.min(shift / scale, width / 2);
+            const boundingBox = position === 'left'
+                ? { left: trim.x, bottom: trim.y, right: trim.x + width - clip, top: trim.y + height }
+                : { left: trim.x + clip, bottom: trim.y, right: trim.x + width, top: trim.y + height };
+            const embedded = await imposed.embedPage(page, boundingBox);
+
+            const drawnWidth = (width - clip) * scale;
+            const y = (sheet.height - height * scale) / 2;
+            // Left page ends at the fold, right page starts at it
+            const x = position === 'left' ? halfWidth - drawnWidth : halfWidth;
+
+            sheetPage.drawPage(embedded, { x, y, width: drawnWidth, height: height * scale });
+        }
+    }
+
+    return imposed;
+}
+
+/**
+ * Formats a date as "YYYY-MM-DD HH:mm UTC" for the job ticket.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTicketTimestamp(date) {
+    return `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Inserts a production job ticket as the first page of a PDF, so operators can match printouts to orders.
+ * The ticket uses the size of the document's last (content) page.
+ * @param {PDFDocument} doc - Merged PDF, changed in place
+ * @param {Object} ticket
+ * @param {string} ticket.orderLabel - Order ID with project suffix, e.g. "#1001-2 MAGAZINE"
+ * @param {string} ticket.orderReference - Printbox order reference
+ * @param {number} ticket.projectIndex - 1-based project index
+ * @param {number} ticket.projectCount - Number of projects in the order
+ * @param {boolean} ticket.isMagazine
+ * @param {number} ticket.quantity
+ * @param {number|null} ticket.pageCount - Page count from the pages PDF (ticket and cover excluded)
+ * @param {number|null} ticket.price - Order value
+ * @param {string=} ticket.currency
+ * @param {Uint8Array|null=} ticket.qrImage - JPEG from qrService.createQRImage
+ * @param {Date=} ticket.printedAt - Defaults to now
+ */
+async function addJobTicket(doc, ticket) {
+    const { width, height } = doc.getPage(doc.getPageCount() - 1).getSize();
+    const page = doc.insertPage(0, [width, height]);
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+
+    const margin = Math.min(width, height) * 0.08;
+    const textWidth = width - 2 * margin;
+    const unit = Math.min(width, height) / 36;
+    let y = height - margin;
+
+    // Draws a line of text at the cursor, shrinking it if it would not fit the page width
+    const drawLine = (text, size, lineFont) => {
+        const safeText = toWinAnsi(text);
+        const fitted = Math.min(size, size * textWidth / Math.max(lineFont.widthOfTextAtSize(safeText, size), 1));
+        y -= fitted;
+        page.drawText(safeText, { x: margin, y, size: fitted, font: lineFont, color: rgb(0, 0, 0) });
+        y -= fitted * 0.6;
+    };
+
+    drawLine('JOB TICKET', unit * 1.2, bold);
+    drawLine(ticket.orderLabel, unit * 2.4, bold);
+    y -= unit * 0.5;
+
+    const price = ticket.price !== null && ticket.price !== undefined ? `${ticket.price} ${ticket.currency || 'EGP'}` : 'N/A';
+    const rows = [
+        ['Order', ticket.orderReference],
+        ['Project', `${ticket.projectIndex} of ${ticket.projectCount}`],
+        ['Type', ticket.isMagazine ? 'MAGAZINE' : 'Book'],
+        ['Quantity', ticket.quantity],
+        ['Page count', ticket.pageCount ?? 'N/A'],
+        ['Price', price],
+        ['Printed', formatTicketTimestamp(ticket.printedAt || new Date())]
+    ];
+    for (const [label, value] of rows) {
+        drawLine(`${label}: ${value}`, unit, label === 'Type' && ticket.isMagazine ? bold : font);
+    }
+
+    if (ticket.qrImage) {
+        const qr = await doc.embedJpg(ticket.qrImage);
+        y -= unit;
+        const scale = Math.min(textWidth / qr.width, (y - margin) / qr.height, (unit * 12) / qr.width);
+        if (scale > 0) {
+            const qrSize = qr.scale(scale);
+            page.drawImage(qr, { x: margin, y: y - qrSize.height, width: qrSize.width, height: qrSize.height });
+        }
+    }
+}
+
+/**
+ * Adds a document outline (bookmarks) to a PDF. pdf-lib has no outline API, so the dictionaries are built directly.
+ * @param {PDFDocument} doc
+ * @param {Array<{title: string, pageIndex: number, children?: Array<{title: string, pageIndex: number}>}>} items
+ */
+function addOutline(doc, items) {
+    const { context } = doc;
+    const outlinesRef = context.nextRef();
+    const pageRefs = doc.getPages().map(page => page.ref);
+
+    // Creates sibling outline items under a parent, returning their refs
+    const createItems = (entries, parentRef) => {
+        const refs = entries.map(() => context.nextRef());
+        entries.forEach((entry, i) => {
+            const item = {
+                Title: PDFHexString.fromText(entry.title),
+                Parent: parentRef,
+                Dest: context.obj([pageRefs[entry.pageIndex], PDFName.of('Fit')])
+            };
+            if (i > 0) item.Prev = refs[i - 1];
+            if (i < refs.length - 1) item.Next = refs[i + 1];
+            if (entry.children && entry.children.length > 0) {
+                const childRefs = createItems(entry.children, refs[i]);
+                item.First = childRefs[0];
+                item.Last = childRefs[childRefs.length - 1];
+                item.Count = childRefs.length; // Positive: open by default
+            }
+            context.assign(refs[i], context.obj(item));
+        });
+        return refs;
+    };
+
+    const topRefs = createItems(items, outlinesRef);
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: topRefs[0],
+        Last: topRefs[topRefs.length - 1],
+        Count: topRefs.length
+    }));
+    doc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+const tasks = {
+    /**
+     * Builds a project's PDFs in one pass: parses each render PDF once, has the main thread preflight them,
+     * merges them in order, normalizes the page boxes, stamps slug lines, imposes magazines (from the book
+     * pages, without the ticket) and puts the job ticket in front. A single render PDF that needs no change
+     * is returned as read, not re-saved.
+     * @param {Object} payload
+     * @param {Array<{filename: string, role: string, path: string}>} payload.parts - Render PDFs in merge order
+     * @param {boolean} payload.preflight - Ask `{type: 'preflight', cover, pages, otherParts}` before merging;
+     *     the answer `{proceed: false}` stops the task
+     * @param {Object|null} payload.productSpec - Normalize the page boxes to it (see normalizePageBoxes)
+     * @param {Object|null} payload.slugLine - Stamp slug lines (see stampSlugLines)
+     * @param {Object|null} payload.imposition - Also build the saddle-stitch imposed PDF (see imposeSaddleStitch)
+     * @param {boolean} payload.jobTicket - Ask `{type: 'jobTicket', pageCounts}` for the ticket fields (see addJobTicket)
+     * @param {function(Object): Promise<*>} ask - Sends a request to the main thread and resolves with its answer
+     * @returns {Promise<{blocked?: boolean, bytes?: Uint8Array, imposedBytes?: Uint8Array|null, pageCounts?: Array<number>,
+     *     fixups?: Array<string>, imposedPages?: number, ticketPages?: number}>} Page counts are per part
+     */
+    async buildProject({ parts: input, preflight, productSpec, slugLine, imposition, jobTicket }, ask) {
+        const parts = await loadParts(input);
+
+        if (preflight) {
+            const byRole = role => parts.filter(part => part.role === role);
+            const { proceed } = await ask({
+                type: 'preflight',
+                cover: byRole('cover').length > 0 ? describeDocument(byRole('cover')) : null,
+                pages: byRole('pages').length > 0 ? describeDocument(byRole('pages')) : null,
+                otherParts: parts
+                    .filter(part => part.role !== 'cover' && part.role !== 'pages')
+                    .map(part => ({ filename: part.filename, role: part.role, ...describeDocument([part]) }))
+            });
+            if (!proceed) return { blocked: true };
+        }
+
+        const book = await step('PDF merge', () => mergeParts(parts));
+        const pageCounts = parts.map(part => part.doc.getPageCount());
+        let changed = parts.length > 1;
+
+        let fixups = [];
+        if (productSpec) {
+            fixups = await step('Page box normalization', async () => normalizePageBoxes(book, productSpec));
+            changed = true;
+        }
+
+        if (slugLine) {
+            await step('Slug line stamping', () => stampSlugLines(book, slugLine));
+            changed = true;
+        }
+
+        let imposedBytes = null;
+        let imposedPages = 0;
+        if (imposition) {
+            const imposed = await step('PDF imposition', () => imposeSaddleStitch(book, imposition));
+            imposedPages = imposed.getPageCount();
+            imposedBytes = await imposed.save();
+        }
+
+        let ticketPages = 0;
+        if (jobTicket) {
+            const ticket = await ask({ type: 'jobTicket', pageCounts });
+            if (ticket) {
+                await step('Job ticket generation', () => addJobTicket(book, ticket));
+                ticketPages = 1;
+                changed = true;
+            }
+        }
+
+        const bytes = changed ? await book.save() : parts[0].bytes;
+        return { bytes, imposedBytes, pageCounts, fixups, imposedPages, ticketPages };
+    },
+
+    /**
+     * Builds a single order-level PDF: for each project a separator page followed by its merged document,
+     * with outline bookmarks per project (job ticket and one per role) and document metadata naming the order.
+     * @param {{orderNumber: string, projectCount: number, projects: Array<{orderLabel: string, projectIndex: number,
+     *     isMagazine: boolean, quantity: number, pageCount: number|null, pageLayout: Object, pdfPath: string}>}} payload
+     * @returns {Promise<{bytes: Uint8Array, pageCount: number}>}
+     */
+    async combine({ orderNumber, projectCount, projects }) {
+        const combined = await PDFDocument.create();
+        const font = await combined.embedFont(StandardFonts.Helvetica);
+        const bold = await combined.embedFont(StandardFonts.HelveticaBold);
+        const outline = [];
+
+        for (const project of projects) {
+            const source = await PDFDocument.load(await fs.readFile(project.pdfPath));
+            const copied = await combined.copyPages(source, source.getPageIndices());
+            const { width, height } = source.getPage(source.getPageCount() - 1).getSize();
+
+            // Separator page, sized like the project's pages
+            const separator = combined.addPage([width, height]);
+            const separatorIndex = combined.getPageCount() - 1;
+            const margin = Math.min(width, height) * 0.1;
+            const unit = Math.min(width, height) / 30;
+            const lines = [
+                [`Project ${project.projectIndex} of ${projectCount}`, unit, font],
+                [project.orderLabel, unit * 2, bold],
+                [`${project.isMagazine ? 'MAGAZINE' : 'Book'} - Quantity: ${project.quantity} - Page count: ${project.pageCount ?? 'N/A'}`, unit, font]
+            ];
+            let y = height / 2 + unit * 2;
+            for (const [text, size, lineFont] of lines) {
+                const safeText = toWinAnsi(text);
+                const fitted = Math.min(size, size * (width - 2 * margin) / Math.max(lineFont.widthOfTextAtSize(safeText, size), 1));
+                const x = (width - lineFont.widthOfTextAtSize(safeText, fitted)) / 2;
+                separator.drawText(safeText, { x, y, size: fitted, font: lineFont, color: rgb(0, 0, 0) });
+                y -= fitted * 1.8;
+            }
+
+            copied.forEach(page => combined.addPage(page));
+
+            // One bookmark per section of the project: job ticket, then each role in merge order (Cover, Pages, ...)
+            const { ticketPages = 0, sections = [] } = project.pageLayout || {};
+            const children = [];
+            let pageIndex = separatorIndex + 1;
+            if (ticketPages > 0) {
+                children.push({ title: 'Job ticket', pageIndex });
+                pageIndex += ticketPages;
+            }
+            for (const section of sections) {
+                if (section.pages > 0 && pageIndex <= separatorIndex + copied.length) {
+                    const title = section.role.replace(/[-_]+/g, ' ');
+                    children.push({ title: title.charAt(0).toUpperCase() + title.slice(1), pageIndex });
+                }
+                pageIndex += section.pages;
+            }
+            outline.push({ title: project.orderLabel, pageIndex: separatorIndex, children });
+        }
+
+        addOutline(combined, outline);
+
+        const labels = projects.map(p => p.orderLabel);
+        combined.setTitle(`Order ${orderNumber}`);
+        combined.setSubject(`Order ${orderNumber}: ${labels.join(', ')}`);
+        combined.setKeywords([orderNumber, ...labels]);
+        combined.setProducer('printbox-automation');
+        combined.setCreationDate(new Date());
+
+        return { bytes: await combined.save(), pageCount: combined.getPageCount() };
+    }
+};
+
+// Requests a running task sent to the main thread, by task ID
+const pendingRequests = new Map();
+
+/**
+ * Sends a request for a running task to the main thread (see workerPool run's `onRequest`).
+ * @param {number} id - Task ID
+ * @param {Object} request
+ * @returns {Promise<*>} The main thread's answer
+ */
+function ask(id, request) {
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(id, { resolve, reject });
+        parentPort.postMessage({ id, request });
+    });
+}
+
+parentPort.on('message', async (message) => {
+    const { id } = message;
+
+    if ('response' in message || 'requestError' in message) {
+        const pending = pendingRequests.get(id);
+        pendingRequests.delete(id);
+        if (!pending) return;
+        if ('requestError' in message) {
+            pending.reject(new Error(message.requestError));
+        } else {
+            pending.resolve(message.response);
+        }
+        return;
+    }
+
+    try {
+        if (!tasks[message.type]) throw new Error(`Unknown PDF task "${message.type}"`);
+        const result = await tasks[message.type](message.payload, request => ask(id, request));
+        // Move output bytes to the main thread instead of copying them (a view on a shared buffer is copied)
+        const transferList = [result.bytes, result.imposedBytes]
+            .filter(bytes => bytes && bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength)
+            .map(bytes => bytes.buffer);
+        parentPort.postMessage({ id, result }, transferList);
+    } catch (error) {
+        parentPort.postMessage({ id, error: error.message });
+    }
+});